@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util";
+import * as fs from "node:fs";
+import { basename, dirname, extname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { NodeRecorder, RecorderStatus, concat } from "../node.js";
+
+const USAGE = `Usage: canvas-record <sketch.js> [options]
+       canvas-record concat <output> <chunk...> [--fps <number>]
+
+Render a sketch module exporting "render(context, { time, frame, ... })" and optionally "setup(context, props)" and "settings".
+
+Options:
+  --width <px>          Canvas width (default: 512)
+  --height <px>         Canvas height (default: 512)
+  --fps <number>        Frame rate, an integer for mp4 (default: 30)
+  --duration <seconds>  Recording duration (default: 10)
+  --frames <n>          Number of frames to render from --start-frame, not with --end-frame (default: until duration)
+  --start-frame <n>     First frame to render (default: 0)
+  --end-frame <n>       Frame to stop at, excluded (default: start frame + frames or duration * fps)
+  --extension <ext>     mp4, gif, png or jpg (default: inferred from --out or mp4)
+  --out <path>          Output file or directory (default: current directory)
+  -h, --help            Show this message
+
+Concat joins MP4 or WebM chunks rendered with --start-frame/--end-frame into one file without re-encoding.`;
+
+// node-canvas or skia-canvas, whichever is installed
+const createCanvas = async (width, height) => {
+  try {
+    return (await import("canvas")).createCanvas(width, height);
+  } catch {
+    try {
+      return new (await import("skia-canvas")).Canvas(width, height);
+    } catch {
+      throw new Error(
+        `canvas-record: install "canvas" or "skia-canvas" to render sketches.`,
+      );
+    }
+  }
+};
+
+const toNumber = (name, value) => {
+  if (value === undefined) return;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`canvas-record: --${name} must be a positive number.`);
+  }
+  return number;
+};
+
+const toSize = (name, value) => {
+  if (value === undefined) return;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`canvas-record: --${name} must be a positive integer.`);
+  }
+  return number;
+};
+
+// Rational frame rates: 30000/1001
+const toFrameRate = (value) => {
+  if (value === undefined) return;
+
+  const [numerator, denominator = "1"] = value.split("/");
+  return toNumber("fps", numerator) / toNumber("fps", denominator);
+};
+
+const toFrame = (name, value) => {
+  if (value === undefined) return;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`canvas-record: --${name} must be a frame number.`);
+  }
+  return number;
+};
+
+const concatChunks = async (output, chunks, fps) => {
+  if (!output || !chunks.length) {
+    throw new Error("canvas-record: concat needs an output and chunks.");
+  }
+
+  // Fail before creating the output. Chunks are only read when remuxed.
+  await Promise.all(chunks.map((chunk) => fs.promises.access(chunk)));
+  const files = chunks.map((chunk) => () => fs.promises.readFile(chunk));
+
+  const file = fs.openSync(resolve(output), "w");
+  try {
+    await concat(files, {
+      frameRate: fps,
+      onData: (data, position) =>
+        fs.writeSync(file, data, 0, data.byteLength, position),
+    });
+  } finally {
+    fs.closeSync(file);
+  }
+  console.log(resolve(output));
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      width: { type: "string" },
+      height: { type: "string" },
+      fps: { type: "string" },
+      duration: { type: "string" },
+      frames: { type: "string" },
+      "start-frame": { type: "string" },
+      "end-frame": { type: "string" },
+      extension: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help || !positionals.length) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  if (positionals[0] === "concat") {
+    const [output, ...chunks] = positionals.slice(1);
+    await concatChunks(output, chunks, toFrameRate(values.fps));
+    return;
+  }
+
+  const sketch = await import(pathToFileURL(resolve(positionals[0])).href);
+  const render = sketch.render || sketch.default;
+  if (typeof render !== "function") {
+    throw new Error(
+      `canvas-record: "${positionals[0]}" doesn't export render.`,
+    );
+  }
+
+  // --out with an extension is a file path, a directory otherwise
+  const out = values.out && resolve(values.out);
+  const outExtension = out && extname(out).slice(1);
+
+  const settings = {
+    width: 512,
+    height: 512,
+    fps: 30,
+    duration: 10,
+    extension: outExtension || "mp4",
+    ...sketch.settings,
+  };
+  settings.width = toSize("width", values.width) ?? settings.width;
+  settings.height = toSize("height", values.height) ?? settings.height;
+  settings.fps = toFrameRate(values.fps) ?? settings.fps;
+  settings.duration =
+    toNumber("duration", values.duration) ?? settings.duration;
+  settings.extension = values.extension || settings.extension;
+  // H264MP4Encoder timescales are integer frame rates
+  if (settings.extension === "mp4" && !Number.isInteger(settings.fps)) {
+    throw new Error(
+      `canvas-record: --fps must be an integer for mp4, use gif, png or jpg for fractional frame rates.`,
+    );
+  }
+  settings.frames = toFrame("frames", values.frames) ?? settings.frames;
+
+  const canvas = await createCanvas(settings.width, settings.height);
+  const context = canvas.getContext("2d");
+
+  const canvasRecorder = new NodeRecorder(context, {
+    name: basename(positionals[0], extname(positionals[0])),
+    extension: settings.extension,
+    frameRate: settings.fps,
+    duration: settings.duration,
+    frames: settings.frames,
+    startFrame: toFrame("start-frame", values["start-frame"]) ?? 0,
+    endFrame: toFrame("end-frame", values["end-frame"]),
+    outputDir: out ? (outExtension ? dirname(out) : out) : ".",
+  });
+
+  const props = {
+    width: settings.width,
+    height: settings.height,
+    fps: settings.fps,
+    duration: settings.duration,
+  };
+  await sketch.setup?.(context, props);
+
+  canvasRecorder.addEventListener("progress", ({ detail }) => {
+    process.stderr.write(`\r${Math.round(detail.progress * 100)}%`);
+  });
+
+  await canvasRecorder.start({
+    filename: outExtension ? basename(out) : undefined,
+    initOnly: true,
+  });
+
+  while (canvasRecorder.status === RecorderStatus.Recording) {
+    await render(context, {
+      ...props,
+      time: canvasRecorder.time,
+      frame: canvasRecorder.frame,
+    });
+    await canvasRecorder.step();
+  }
+
+  process.stderr.write("\n");
+  console.log(resolve(canvasRecorder.outputDir, canvasRecorder.filename));
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,74 @@
+// Stand-in server for the "upload" target.
+// Usage: node example/upload-server.js [port] [directory]
+// Then record with { target: "upload", upload: { endpoint: (filename) => `http://localhost:3001/${filename}` } }
+import { createServer } from "node:http";
+import { mkdir, open } from "node:fs/promises";
+import { basename, join, resolve } from "node:path";
+
+const port = Number(process.argv[2]) || 3001;
+const directory = resolve(process.argv[3] || "uploads");
+
+await mkdir(directory, { recursive: true });
+
+const readBody = async (request) => {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Positioned writes need "r+" which doesn't create the file
+const openFile = async (path) => {
+  try {
+    return await open(path, "r+");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    return await open(path, "w+");
+  }
+};
+
+const server = createServer(async (request, response) => {
+  response.setHeader("Access-Control-Allow-Origin", "*");
+  response.setHeader("Access-Control-Allow-Methods", "PUT, POST, OPTIONS");
+  response.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Range, Content-Type, Authorization",
+  );
+
+  if (request.method === "OPTIONS") return response.writeHead(204).end();
+  if (!["PUT", "POST"].includes(request.method)) {
+    return response.writeHead(405).end();
+  }
+
+  const filename = basename(
+    decodeURIComponent(new URL(request.url, "http://localhost").pathname),
+  );
+  const range = request.headers["content-range"]?.match(
+    /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/,
+  );
+  if (!filename || !range) return response.writeHead(400).end();
+
+  const [, start, end, size] = range;
+  const body = await readBody(request);
+
+  const file = await openFile(join(directory, filename));
+  try {
+    if (start !== undefined) {
+      if (body.length !== Number(end) - Number(start) + 1) {
+        return response.writeHead(400).end();
+      }
+      await file.write(body, 0, body.length, Number(start));
+      console.log(`${filename}: bytes ${start}-${end}`);
+    } else {
+      await file.truncate(Number(size));
+      console.log(`${filename}: complete (${size} bytes)`);
+    }
+  } finally {
+    await file.close();
+  }
+
+  response.writeHead(200).end();
+});
+
+server.listen(port, () =>
+  console.log(`Upload server listening on http://localhost:${port}`),
+);
@@ -0,0 +1,174 @@
+// Reference receiver for the "websocket" target: remux the streamed chunks to a file without re-encoding.
+// Usage: node example/websocket-server.js [port] [directory]
+// Then record with { target: "websocket", websocket: { url: "ws://localhost:3002" } }
+import { WebSocketServer } from "ws";
+import * as MP4Muxer from "mp4-muxer";
+import * as WebMMuxer from "webm-muxer";
+import { mkdirSync, openSync, writeSync, closeSync } from "node:fs";
+import { basename, extname, join, resolve } from "node:path";
+
+import { WebSocketMessageType } from "../src/websocket.js";
+import WebCodecsEncoder from "../src/encoders/WebCodecsEncoder.js";
+
+const port = Number(process.argv[2]) || 3002;
+const directory = resolve(process.argv[3] || "recordings");
+
+mkdirSync(directory, { recursive: true });
+
+const parseMessage = (data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const type = view.getUint8(0);
+
+  if (type === WebSocketMessageType.Config) {
+    const length = view.getUint32(1);
+    const config = JSON.parse(data.subarray(5, 5 + length).toString());
+    const description = data.subarray(5 + length);
+    return {
+      type,
+      config: {
+        ...config,
+        ...(description.byteLength && {
+          description: new Uint8Array(description),
+        }),
+      },
+    };
+  }
+  if (type === WebSocketMessageType.Chunk) {
+    const flags = view.getUint8(1);
+    return {
+      type,
+      chunk: {
+        type: flags & 0b01 ? "key" : "delta",
+        track: flags & 0b10 ? "audio" : "video",
+        timestamp: view.getFloat64(2),
+        duration: view.getFloat64(10),
+        data: new Uint8Array(data.subarray(18)),
+      },
+    };
+  }
+  return { type };
+};
+
+const server = new WebSocketServer({ port });
+
+server.on("connection", (socket) => {
+  const configs = {};
+  const pending = [];
+  const configured = new Set();
+  let muxer;
+  let file;
+  let filename;
+  let ended = false;
+
+  const createMuxer = () => {
+    const { video, audio } = configs;
+    filename = basename(video.filename || `recording-${Date.now()}.mp4`);
+    const extension = extname(filename).slice(1);
+    const isMP4 = extension === "mp4";
+
+    file = openSync(join(directory, filename), "w");
+    const onData = (data, position) =>
+      writeSync(file, data, 0, data.byteLength, position);
+
+    muxer = new (isMP4 ? MP4Muxer : WebMMuxer).Muxer({
+      target: isMP4
+        ? new MP4Muxer.StreamTarget({ onData })
+        : new WebMMuxer.StreamTarget(onData),
+      ...(!isMP4 && { type: extension === "mkv" ? "matroska" : "webm" }),
+      video: {
+        codec: WebCodecsEncoder.getMuxerCodec(extension, video.codec),
+        width: video.width,
+        height: video.height,
+      },
+      audio: audio && {
+        codec: WebCodecsEncoder.getMuxerAudioCodec(extension, audio.codec),
+        sampleRate: audio.sampleRate,
+        numberOfChannels: audio.numberOfChannels,
+      },
+      firstTimestampBehavior: "offset",
+      fastStart: false,
+    });
+    console.log(`${filename}: started (${video.codec})`);
+  };
+
+  const addChunk = ({ track, type, timestamp, duration, data, config }) => {
+    if (track === "audio" && !configs.audio) return;
+
+    // Decoder config updates are passed with the next chunk of their track
+    if (config) {
+      configs[track] = config;
+      configured.delete(track);
+      return;
+    }
+
+    // Decoder config is only needed with the first chunk of each track
+    const meta = configured.has(track)
+      ? undefined
+      : { decoderConfig: configs[track] };
+    configured.add(track);
+
+    if (track === "video") {
+      if (muxer instanceof MP4Muxer.Muxer) {
+        muxer.addVideoChunkRaw(data, type, timestamp, duration, meta);
+      } else {
+        muxer.addVideoChunkRaw(data, type, timestamp, meta);
+      }
+    } else if (muxer instanceof MP4Muxer.Muxer) {
+      muxer.addAudioChunkRaw(data, type, timestamp, duration, meta);
+    } else {
+      muxer.addAudioChunkRaw(data, type, timestamp, meta);
+    }
+  };
+
+  // Wait for the configs of all tracks before muxing
+  const flush = (force) => {
+    if (!muxer) {
+      const ready = configs.video && (!configs.video.audio || configs.audio);
+      if (!(ready || (force && configs.video))) return;
+      createMuxer();
+    }
+    for (const chunk of pending.splice(0)) addChunk(chunk);
+  };
+
+  const finish = () => {
+    if (ended) return;
+    ended = true;
+
+    flush(true);
+    if (!muxer) return;
+
+    muxer.finalize();
+    closeSync(file);
+  };
+
+  socket.on("message", (data) => {
+    const message = parseMessage(data);
+
+    if (message.type === WebSocketMessageType.Config) {
+      const { config } = message;
+      // The first configs create the muxer, later ones are queued in order with the chunks
+      if (configs[config.track]) {
+        pending.push({ track: config.track, config });
+      } else {
+        configs[config.track] = config;
+      }
+    } else if (message.type === WebSocketMessageType.Chunk) {
+      pending.push(message.chunk);
+    } else if (message.type === WebSocketMessageType.End) {
+      finish();
+      if (filename) console.log(`${filename}: complete`);
+      return;
+    }
+    flush();
+  });
+
+  socket.on("close", () => {
+    if (ended) return;
+    finish();
+    if (filename) console.log(`${filename}: aborted, partial file written`);
+  });
+});
+
+server.on("listening", () =>
+  console.log(`WebSocket server listening on ws://localhost:${port}`),
+);
@@ -1,9 +1,14 @@
 /**
- * Re-export Recorder, RecorderStatus, all Encoders and utils.
+ * Re-export Recorder, RecorderStatus, all Encoders, capabilities, OPFS helpers, Preview, WebSocket framing, concat and utils.
  * @module canvas-record
  */
 
 export * from "./src/Recorder.js";
 export * as Encoders from "./src/encoders/index.js";
+export * from "./src/capabilities.js";
+export * from "./src/opfs.js";
+export * from "./src/Preview.js";
+export { WebSocketMessageType } from "./src/websocket.js";
+export * from "./src/concat.js";
 
 export * from "./src/utils.js";
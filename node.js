@@ -0,0 +1,14 @@
+/**
+ * Node.js entry point: re-export NodeRecorder, RecorderStatus, the encoders running in Node.js, concat and utils.
+ * @module canvas-record/node
+ */
+
+export * from "./src/NodeRecorder.js";
+export { RecorderStatus } from "./src/Recorder.js";
+export { default as H264MP4Encoder } from "./src/encoders/H264MP4Encoder.js";
+export { default as GIFEncoder } from "./src/encoders/GIFEncoder.js";
+export { default as FrameEncoder } from "./src/encoders/FrameEncoder.js";
+export { getNodeDirectory } from "./src/fs.js";
+export * from "./src/concat.js";
+
+export * from "./src/utils.js";
@@ -0,0 +1,105 @@
+import { writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { Recorder } from "./Recorder.js";
+import H264MP4Encoder from "./encoders/H264MP4Encoder.js";
+import GIFEncoder from "./encoders/GIFEncoder.js";
+import FrameEncoder from "./encoders/FrameEncoder.js";
+
+import { getNodeDirectory } from "./fs.js";
+
+/**
+ * @typedef {object} NodeRecorderOptionsExtra
+ * @property {string} [outputDir="."] Directory the recordings are written to. Frame sequences are written in a sub directory.
+ */
+/**
+ * @typedef {import("./Recorder.js").RecorderOptions & NodeRecorderOptionsExtra} NodeRecorderOptions Recorder options in Node.js: "mp4" (H264MP4Encoder), "gif" (GIFEncoder), "png" and "jpg" (FrameEncoder) extensions only.
+ */
+
+/**
+ * Record a node-canvas or skia-canvas 2D context in Node.js.
+ * Frames are read with `getImageData` for MP4 and GIF, and encoded with `canvas.toBuffer` for PNG/JPG sequences. Output files are written with `fs` instead of downloaded.
+ *
+ * @example
+ * ```js
+ * import { createCanvas } from "canvas";
+ * import { NodeRecorder, RecorderStatus } from "canvas-record/node";
+ *
+ * const context = createCanvas(512, 512).getContext("2d");
+ * const canvasRecorder = new NodeRecorder(context, { extension: "gif", outputDir: "previews" });
+ * await canvasRecorder.start();
+ * while (canvasRecorder.status === RecorderStatus.Recording) {
+ *   render(canvasRecorder.time);
+ *   await canvasRecorder.step();
+ * }
+ * ```
+ */
+class NodeRecorder extends Recorder {
+  /**
+   * Create a NodeRecorder instance
+   * @class NodeRecorder
+   * @param {CanvasRenderingContext2D} context A node-canvas or skia-canvas 2D context.
+   * @param {NodeRecorderOptions} [options={}]
+   */
+  constructor(context, options = {}) {
+    // Defaults and startTime are resolved by Recorder
+    const { startTime, ...opts } = { ...Recorder.defaultOptions, ...options };
+
+    let encoder = opts.encoder;
+    if (!encoder) {
+      if (opts.extension === "gif") {
+        encoder = new GIFEncoder(opts);
+      } else if (["png", "jpg"].includes(opts.extension)) {
+        encoder = new FrameEncoder(opts);
+      } else {
+        encoder = new H264MP4Encoder(opts);
+      }
+    }
+
+    super(context, { outputDir: ".", ...options, encoder });
+  }
+
+  getSupportedTarget() {
+    // Write directly with the fs directory handle when the encoder can
+    if (
+      ["in-browser", "file-system"].includes(this.target) &&
+      this.encoder.constructor.supportedTargets.includes("file-system")
+    ) {
+      return "file-system";
+    }
+    return super.getSupportedTarget();
+  }
+
+  async init(options) {
+    this.encoder.directory = await getNodeDirectory(this.outputDir);
+
+    await super.init(options);
+  }
+
+  async getFrame(frameMethod) {
+    if (frameMethod === "imageData") return await super.getFrame(frameMethod);
+
+    if (frameMethod === "blob") {
+      const { extension } = this.encoder;
+      // node-canvas encodes synchronously, skia-canvas returns a Promise
+      return await this.context.canvas.toBuffer(
+        `image/${extension === "jpg" ? "jpeg" : extension}`,
+        { quality: 1 },
+      );
+    }
+
+    throw new Error(
+      `canvas-record: frame method "${frameMethod}" isn't supported in Node.js.`,
+    );
+  }
+
+  async downloadFile(buffer) {
+    const data = Array.isArray(buffer)
+      ? new Uint8Array(await new Blob(buffer).arrayBuffer())
+      : new Uint8Array(buffer);
+
+    await writeFile(join(this.outputDir, this.filename), data);
+  }
+}
+
+export { NodeRecorder };
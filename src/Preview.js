@@ -0,0 +1,252 @@
+import * as MP4Muxer from "mp4-muxer";
+
+import { RecorderStatus } from "./Recorder.js";
+import WebCodecsEncoder from "./encoders/WebCodecsEncoder.js";
+import { Segmenter } from "./segments.js";
+
+/**
+ * @typedef {object} PreviewOptions
+ * @property {boolean} [follow=true] Seek to the latest appended fragment so that the video shows the frames being encoded.
+ * @property {number} [bufferDuration=30] Seconds of video kept in the SourceBuffer behind the current time. Older data is removed to stay below the browser quota during long exports.
+ */
+
+const getMediaSource = () =>
+  globalThis.ManagedMediaSource || globalThis.MediaSource;
+
+/**
+ * Preview the encoded output of a recording in a video element via Media Source Extensions.
+ * Video chunks dispatched by the Recorder "chunk" event are remuxed to fragmented MP4 (one fragment per group of pictures) and appended to a SourceBuffer, so the video shows the actual compressed stream (artifacts, colors) while recording.
+ * Only works with WebCodecs based encoders. Audio isn't previewed.
+ *
+ * @example
+ * ```js
+ * const preview = new Preview(document.querySelector("video"));
+ * preview.attach(canvasRecorder);
+ * await canvasRecorder.start();
+ * ```
+ */
+class Preview {
+  /**
+   * Check if Media Source Extensions are available.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof getMediaSource() === "function";
+  }
+
+  static defaultOptions = {
+    follow: true,
+    bufferDuration: 30,
+  };
+
+  /**
+   * The previewed recorder.
+   * @type {import("./Recorder.js").Recorder | null}
+   */
+  recorder = null;
+
+  #mediaSource;
+  #sourceBuffer;
+  #sourceOpen;
+  #url;
+  #muxer;
+  #segmenter;
+  #queue = [];
+  #ended = false;
+  #disabled = false;
+
+  /**
+   * @param {HTMLVideoElement} video
+   * @param {PreviewOptions} [options]
+   */
+  constructor(video, options = {}) {
+    if (!Preview.isSupported()) {
+      throw new Error("canvas-record: Media Source Extensions not supported.");
+    }
+
+    this.video = video;
+    Object.assign(this, Preview.defaultOptions, options);
+
+    this.video.muted = true;
+    // Required by ManagedMediaSource
+    this.video.disableRemotePlayback = true;
+  }
+
+  /**
+   * Subscribe to a recorder chunk and status events. Detach from the previous recorder if any.
+   * @param {import("./Recorder.js").Recorder} recorder
+   */
+  attach(recorder) {
+    this.detach();
+
+    this.recorder = recorder;
+    this.recorder.addEventListener("chunk", this.#onChunk);
+    this.recorder.addEventListener("statuschange", this.#onStatusChange);
+  }
+
+  /**
+   * Unsubscribe from the recorder events. The video keeps what has been appended.
+   */
+  detach() {
+    if (!this.recorder) return;
+
+    this.recorder.removeEventListener("chunk", this.#onChunk);
+    this.recorder.removeEventListener("statuschange", this.#onStatusChange);
+    this.recorder = null;
+  }
+
+  /**
+   * Detach from the recorder and release the media source.
+   */
+  dispose() {
+    this.detach();
+    this.#reset();
+    this.video.removeAttribute("src");
+    this.video.load();
+  }
+
+  #reset() {
+    this.#muxer = null;
+    this.#segmenter = null;
+    this.#sourceBuffer = null;
+    this.#queue = [];
+    this.#ended = false;
+    this.#disabled = false;
+
+    if (this.#url) URL.revokeObjectURL(this.#url);
+    this.#url = null;
+    this.#mediaSource = null;
+  }
+
+  #start(decoderConfig) {
+    this.#reset();
+
+    const codec = WebCodecsEncoder.getMuxerCodec("mp4", decoderConfig.codec);
+    const mimeType = `video/mp4; codecs="${decoderConfig.codec}"`;
+    const MediaSource = getMediaSource();
+    if (!codec || !MediaSource.isTypeSupported(mimeType)) {
+      console.warn(`canvas-record: can't preview "${decoderConfig.codec}".`);
+      this.#disabled = true;
+      return;
+    }
+
+    const mediaSource = new MediaSource();
+    this.#mediaSource = mediaSource;
+    this.#url = URL.createObjectURL(mediaSource);
+    this.#sourceOpen = new Promise((resolve) =>
+      mediaSource.addEventListener("sourceopen", resolve, { once: true }),
+    ).then(() => {
+      // Reset before the source opened
+      if (mediaSource !== this.#mediaSource) return;
+
+      this.#sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+      this.#sourceBuffer.addEventListener("updateend", () => this.#append());
+      this.#append();
+    });
+    this.video.src = this.#url;
+
+    // The muxer output is split so that the trailing mfra box isn't appended
+    this.#segmenter = new Segmenter({
+      onInit: (data) => this.#enqueue(data),
+      onSegment: (data) => this.#enqueue(data),
+    });
+    this.#muxer = new MP4Muxer.Muxer({
+      target: new MP4Muxer.StreamTarget({
+        onData: (data, position) => this.#segmenter.push(data, position),
+      }),
+      video: {
+        codec,
+        width: decoderConfig.codedWidth ?? this.recorder.width,
+        height: decoderConfig.codedHeight ?? this.recorder.height,
+      },
+      firstTimestampBehavior: "offset",
+      fastStart: "fragmented",
+      minFragmentDuration: 0,
+    });
+  }
+
+  #enqueue(data) {
+    this.#queue.push(data);
+    this.#append();
+  }
+
+  #append() {
+    const sourceBuffer = this.#sourceBuffer;
+    if (!sourceBuffer || sourceBuffer.updating) return;
+
+    // Remove data behind the current time before appending more
+    const { currentTime } = this.video;
+    const { buffered } = sourceBuffer;
+    if (
+      buffered.length &&
+      currentTime - buffered.start(0) > this.bufferDuration + 1
+    ) {
+      sourceBuffer.remove(buffered.start(0), currentTime - this.bufferDuration);
+      return;
+    }
+
+    const data = this.#queue.shift();
+    if (data) {
+      const start = buffered.length ? buffered.end(buffered.length - 1) : 0;
+      try {
+        sourceBuffer.appendBuffer(data);
+      } catch (error) {
+        console.warn("canvas-record: preview append failed.", error);
+        this.#disabled = true;
+        this.#queue = [];
+        return;
+      }
+      // Show the appended group of pictures
+      if (this.follow) {
+        sourceBuffer.addEventListener(
+          "updateend",
+          () => {
+            this.video.currentTime = start;
+            this.video.play().catch(() => {});
+          },
+          { once: true },
+        );
+      }
+    } else if (this.#ended && this.#mediaSource.readyState === "open") {
+      this.#mediaSource.endOfStream();
+    }
+  }
+
+  #onChunk = ({ detail: { chunk, metadata, track } }) => {
+    if (
+      track !== "video" ||
+      typeof EncodedVideoChunk === "undefined" ||
+      !(chunk instanceof EncodedVideoChunk)
+    ) {
+      return;
+    }
+
+    if (metadata?.decoderConfig && (!this.#muxer || this.#ended)) {
+      this.#start(metadata.decoderConfig);
+    }
+    if (!this.#muxer || this.#disabled) return;
+
+    this.#muxer.addVideoChunk(chunk, metadata);
+  };
+
+  #onStatusChange = ({ detail: { status } }) => {
+    if (
+      ![
+        RecorderStatus.Stopped,
+        RecorderStatus.Cancelled,
+        RecorderStatus.Error,
+      ].includes(status) ||
+      !this.#muxer ||
+      this.#ended
+    ) {
+      return;
+    }
+
+    // Flush the last fragment
+    if (!this.#disabled) this.#muxer.finalize();
+    this.#ended = true;
+    this.#sourceOpen.then(() => this.#append());
+  };
+}
+
+export { Preview };
@@ -5,14 +5,42 @@ import H264MP4Encoder from "./encoders/H264MP4Encoder.js";
 import GIFEncoder from "./encoders/GIFEncoder.js";
 import FrameEncoder from "./encoders/FrameEncoder.js";
 
+import { createAudioSource, OfflineAudioRenderer } from "./audio.js";
+import { VirtualClock } from "./VirtualClock.js";
 import {
   downloadBlob,
   formatDate,
   formatSeconds,
+  getFrameRateFraction,
   isWebCodecsSupported,
   nextMultiple,
+  unpremultiplyAlpha,
 } from "./utils.js";
 
+/**
+ * Wall clock time, unaffected by the virtual clock.
+ * @private
+ */
+const now = Date.now.bind(Date);
+
+/**
+ * Ordered list of encoders (and codecs for WebCodecs) probed when no encoder is specified.
+ * Wasm encoders are lazy loaded.
+ * @private
+ */
+const ENCODER_FALLBACKS = [
+  { load: () => WebCodecsEncoder, codec: WebCodecsEncoder.codecs.avc },
+  { load: () => WebCodecsEncoder, codec: WebCodecsEncoder.codecs.hevc },
+  { load: () => WebCodecsEncoder, codec: WebCodecsEncoder.codecs.vp9 },
+  {
+    load: async () => (await import("./encoders/MP4WasmEncoder.js")).default,
+  },
+  { load: () => H264MP4Encoder },
+  {
+    load: async () => (await import("./encoders/FFmpegEncoder.js")).default,
+  },
+];
+
 /**
  * Enum for recorder status
  * @readonly
@@ -32,25 +60,74 @@ const RecorderStatus = Object.freeze({
   Recording: 2,
   Stopping: 3,
   Stopped: 4,
+  Paused: 5,
+  Error: 6,
+  Cancelled: 7,
+  Initialized: 8,
 });
 
 /**
  * A callback to notify on the status change. To compare with RecorderStatus enum values.
+ * Prefer `canvasRecorder.addEventListener("statuschange", cb)` to subscribe multiple listeners.
  * @callback onStatusChangeCb
  * @param {number} RecorderStatus the status
  */
 
+/**
+ * Events dispatched by the Recorder with the following `event.detail`:
+ * - `statuschange`: `{ status }` To compare with RecorderStatus enum values.
+ * - `frame`: `{ frame, time }` After a frame has been encoded.
+ * - `progress`: `{ frame, frameTotal, progress, stats }` After the playhead moved. `frameTotal` is the number of frames recorded from `startFrame`, `progress` is in [0, 1] or undefined for infinite durations.
+ * - `chunk`: `{ chunk, metadata, track }` When the encoder outputs data (EncodedVideoChunk/EncodedAudioChunk for WebCodecs, Blob for MediaCapture and Frame).
+ * - `error`: `{ error }` When initialising, encoding or stopping fails.
+ * - `complete`: `{ buffer, filename, mimeType }` When the recording is stopped and the output is ready.
+ * - `negotiated`: `{ encoder, codec }` When an encoder (and codec for WebCodecs) has been selected by probing runtime capabilities.
+ * @typedef {"statuschange" | "frame" | "progress" | "chunk" | "error" | "complete" | "negotiated"} RecorderEvents
+ *
+ * @example
+ * ```js
+ * canvasRecorder.addEventListener("progress", ({ detail }) => {
+ *   progressBar.value = detail.progress;
+ * });
+ * canvasRecorder.addEventListener("complete", ({ detail }) => {
+ *   upload(detail.buffer, detail.filename);
+ * });
+ * ```
+ */
+
+/**
+ * A callback to build an audio graph connected to the context destination. Keep references to nodes (eg. AnalyserNode) to read deterministic data on each frame.
+ * @callback audioGraphCb
+ * @param {OfflineAudioContext} context the offline audio context, also available as `canvasRecorder.audioContext`
+ * @returns {(void|Promise<void>)}
+ */
+
 /**
  * @typedef {object} RecorderOptions Options for recording. All optional.
  * @property {string} [name=""] A name for the recorder, used as prefix for the default file name.
- * @property {number} [duration=10] The recording duration in seconds. If set to Infinity, `await canvasRecorder.stop()` needs to be called manually.
- * @property {number} [frameRate=30] The frame rate in frame per seconds. Use `await canvasRecorder.step();` to go to the next frame.
+ * @property {number} [duration=10] The recording duration in seconds, rounded to the nearest frame. If set to Infinity, `await canvasRecorder.stop()` needs to be called manually.
+ * @property {number} [frames] The number of frames to record from `startFrame`. Takes precedence over `duration`, can't be used with `endFrame`.
+ * @property {number} [startFrame=0] First frame to record: time starts at `startFrame / frameRate` so that a slice of an animation can be re-rendered. Frame sequences keep the frame numbers, video files start at 0 with key frames relative to the first frame.
+ * @property {number} [startTime] First frame to record in seconds, rounded to the nearest frame. Ignored if `startFrame` is set.
+ * @property {number} [endFrame] Frame to stop at (excluded). Takes precedence over `duration`, can't be used with `frames`. Default to `startFrame + frames` or `duration * frameRate`.
+ * @property {number} [frameRate=30] The frame rate in frame per seconds. Use `await canvasRecorder.step();` to go to the next frame. NTSC rates (`30000 / 1001` or 29.97, 24000 / 1001, 60000 / 1001) get exact frame times and timestamps.
  * @property {boolean} [download=true] Automatically download the recording when duration is reached or when `await canvasRecorder.stop()` is manually called.
  * @property {string} [extension="mp4"] Default file extension: infers which Encoder is selected.
- * @property {string} [target="in-browser"] Default writing target: in-browser or file-system when available.
- * @property {object} [encoder] A specific encoder. Default encoder based on options.extension: GIF > WebCodecs > H264MP4.
+ * @property {string} [target="in-browser"] Default writing target: in-browser, file-system, opfs (Origin Private File System), stream, upload or websocket when available.
+ * @property {import("./encoders/Encoder.js").EncoderSink} [sink] A WritableStream or an `onData(data, position)` callback receiving the file data with the "stream" target. FileSystemWritableFileStream and callbacks receive positioned writes, other WritableStreams receive sequential data (MP4 is written on stop, WebM is streamed without seeking).
+ * @property {import("./upload.js").UploadOptions} [upload] Endpoint, method, headers, chunk size and retries for the "upload" target. Data is sent in chunks as it is muxed with `Content-Range` headers, MP4 moov atom being written last.
+ * @property {import("./websocket.js").WebSocketOptions} [websocket] URL and sub-protocols for the "websocket" target. Encoded WebCodecs chunks are streamed unmuxed with their decoder config and timestamps (see `WebSocketMessageType` for the framing).
+ * @property {boolean} [alpha=false] Preserve transparency: VP8/VP9/AV1 WebM/MKV with WebCodecs, VP9 WebM or ProRes 4444/QuickTime Animation MOV with FFmpeg, PNG sequence with Frame and 1-bit transparency with GIF.
+ * @property {boolean} [fragmented=false] Produce a fragmented MP4 (fMP4) with WebCodecs: one moof/mdat fragment per group of pictures, so that partially written files remain playable and fragments can be streamed.
+ * @property {import("./segments.js").SegmentsOptions} [segments] Produce HLS segmented output with WebCodecs MP4: an `init.mp4` init segment, `segment-00000.m4s` media segments of `segments.duration` seconds and an `index.m3u8` playlist (plus a `manifest.mpd` with `segments.dash`) written to a directory with the "file-system" and "opfs" targets or downloaded with "in-browser".
+ * @property {object} [encoder] A specific encoder. Default encoder based on options.extension: GIF > Frame > the first supported of WebCodecs (AVC > HEVC > VP9) > MP4Wasm > H264MP4 > FFmpeg.
  * @property {object} [encoderOptions] See `src/encoders` or individual packages for a list of options.
  * @property {object} [muxerOptions] See "mp4-muxer" and "webm-muxer" for a list of options.
+ * @property {import("./audio.js").RecorderAudio} [audio] An AudioBuffer, a MediaStreamTrack (real-time only) or raw PCM to mux as a soundtrack aligned with the recorder time. Only supported by WebCodecsEncoder. Can't be used with `audioGraph`.
+ * @property {AudioEncoderConfig} [audioEncoderOptions] See `AudioEncoder.configure` for a list of options.
+ * @property {audioGraphCb} [audioGraph] Build a Web Audio graph on an OfflineAudioContext rendered in lock-step with `await canvasRecorder.step()`. Requires a finite duration. Can't be used with `audio`.
+ * @property {object} [audioContextOptions={ numberOfChannels: 2, sampleRate: 48000 }] Options for the OfflineAudioContext created for `audioGraph`.
+ * @property {boolean} [virtualClock=false] Patch `performance.now()`, `Date.now()`, `requestAnimationFrame` timestamps and document animations while recording so that time advances exactly `1 / frameRate` per `await canvasRecorder.step()`. Restored on stop, cancel and error.
  * @property {onStatusChangeCb} [onStatusChange]
  */
 
@@ -58,9 +135,21 @@ const RecorderStatus = Object.freeze({
  * @typedef {object} RecorderStartOptions Options for recording initialisation. All optional.
  * @property {string} [filename] Overwrite the file name completely.
  * @property {boolean} [initOnly] Only initialised the recorder and don't call the first await recorder.step().
+ * @property {AbortSignal} [signal] Cancel the recording when aborted. See `await canvasRecorder.cancel()`.
  */
 
-class Recorder {
+/**
+ * An Event with a `detail` property: CustomEvent isn't a global in Node.js 18.
+ * @private
+ */
+class RecorderEvent extends Event {
+  constructor(type, detail) {
+    super(type);
+    this.detail = detail;
+  }
+}
+
+class Recorder extends EventTarget {
   /**
    * Sensible defaults for recording so that the recorder "just works".
    * @type {RecorderOptions}
@@ -69,9 +158,13 @@ class Recorder {
     name: "",
     duration: 10, // 0 to Infinity
     frameRate: 30,
+    startFrame: 0,
     download: true,
     extension: "mp4",
     target: "in-browser",
+    alpha: false,
+    fragmented: false,
+    virtualClock: false,
     onStatusChange: () => {},
   };
 
@@ -83,6 +176,7 @@ class Recorder {
     mkv: "video/x-matroska;codecs=avc1",
     webm: "video/webm",
     mp4: "video/mp4",
+    mov: "video/quicktime",
     gif: "image/gif",
   };
 
@@ -93,38 +187,179 @@ class Recorder {
     this.encoder.height = value;
   }
 
+  get #isWebGPU() {
+    return typeof this.context.getCurrentTexture === "function";
+  }
+
   // TODO: allow overwrite
   get width() {
+    // GPUCanvasContext texture size always matches the canvas size
+    if (this.#isWebGPU) return this.context.canvas.width;
     return this.context.drawingBufferWidth || this.context.canvas.width;
   }
   get height() {
+    if (this.#isWebGPU) return this.context.canvas.height;
     return this.context.drawingBufferHeight || this.context.canvas.height;
   }
 
   get stats() {
     if (this.status !== RecorderStatus.Recording) return undefined;
 
-    const renderTime = (Date.now() - this.startTime.getTime()) / 1000;
-    const secondsPerFrame = renderTime / this.frame;
+    const renderTime =
+      (now() - this.startTime.getTime() - this.#pausedDuration) / 1000;
+    const secondsPerFrame = renderTime / (this.frame - this.startFrame);
+    const recordedTime = (this.frame - this.startFrame) * this.deltaTime;
 
     return {
       renderTime,
       secondsPerFrame,
-      detail: `Time: ${this.time.toFixed(2)} / ${this.duration.toFixed(2)}
-Frame: ${this.frame} / ${this.frameTotal}
+      detail: `Time: ${this.time.toFixed(2)} / ${(this.#endFrame * this.deltaTime).toFixed(2)}
+Frame: ${this.frame} / ${this.#endFrame}
 Elapsed Time: ${formatSeconds(renderTime)}
 Remaining Time: ${formatSeconds(secondsPerFrame * this.frameTotal - renderTime)}
-Speedup: x${(this.time / renderTime).toFixed(3)}`,
+Speedup: x${(recordedTime / renderTime).toFixed(3)}`,
     };
   }
 
+  #pauseTime;
+  #pausedDuration = 0;
+  #audioSource;
+  #audioRenderer;
+  #initPromise;
+  #signal;
+  #onAbort = () => this.cancel();
+  #options;
+  #negotiate;
+  #clock;
+  #frameRateFraction;
+
+  // Frame to stop at (excluded)
+  get #endFrame() {
+    return this.startFrame + this.frameTotal;
+  }
+
+  #getFrameTime(frame) {
+    const [numerator, denominator] = this.#frameRateFraction;
+    return (frame * denominator) / numerator;
+  }
+
+  #dispatch(type, detail) {
+    this.dispatchEvent(new RecorderEvent(type, detail));
+  }
+
   #updateStatus(status) {
     this.status = status;
     this.onStatusChange(this.status);
+    this.#dispatch("statuschange", { status });
+  }
+
+  #removeAbortListener() {
+    this.#signal?.removeEventListener("abort", this.#onAbort);
+    this.#signal = null;
+  }
+
+  async #fail(error) {
+    // Encoder was torn down on purpose
+    if (this.status === RecorderStatus.Cancelled) return;
+
+    this.error = error;
+    this.#removeAbortListener();
+    this.#clock?.uninstall();
+
+    this.#audioSource?.dispose();
+    this.#audioSource = null;
+    this.#audioRenderer = null;
+
+    try {
+      await this.encoder.abort();
+    } catch (abortError) {
+      console.error(abortError);
+    }
+
+    this.#updateStatus(RecorderStatus.Error);
+    this.#dispatch("error", { error });
+
+    throw error;
+  }
+
+  /**
+   * Read back the current texture of a GPUCanvasContext as RGBA pixels padded to even dimensions.
+   * The canvas must be configured with `GPUTextureUsage.COPY_SRC` and the copy is submitted synchronously before the texture expires.
+   */
+  async #readWebGPUPixels() {
+    const configuration = this.context.getConfiguration?.();
+    if (!configuration) {
+      throw new Error(
+        "canvas-record: GPUCanvasContext is not configured or getConfiguration() is not supported.",
+      );
+    }
+    const { device, format, usage, alphaMode } = configuration;
+    if (!(usage & GPUTextureUsage.COPY_SRC)) {
+      throw new Error(
+        "canvas-record: GPUCanvasContext needs to be configured with usage GPUTextureUsage.COPY_SRC to read back pixels.",
+      );
+    }
+    if (!["bgra8unorm", "rgba8unorm"].includes(format)) {
+      throw new Error(
+        `canvas-record: unsupported GPUCanvasContext format "${format}".`,
+      );
+    }
+
+    const texture = this.context.getCurrentTexture();
+    const { width, height } = texture;
+
+    // Rows of a texture copy need to be aligned to 256 bytes
+    const row = width * 4;
+    const bytesPerRow = nextMultiple(row, 256);
+    const buffer = device.createBuffer({
+      size: bytesPerRow * height,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+    });
+
+    const commandEncoder = device.createCommandEncoder();
+    commandEncoder.copyTextureToBuffer({ texture }, { buffer, bytesPerRow }, [
+      width,
+      height,
+    ]);
+    device.queue.submit([commandEncoder.finish()]);
+
+    await buffer.mapAsync(GPUMapMode.READ);
+    const data = new Uint8Array(buffer.getMappedRange());
+
+    const pixels = new Uint8Array(
+      nextMultiple(width, 2) * nextMultiple(height, 2) * 4,
+    );
+    const paddedRow = nextMultiple(width, 2) * 4;
+    for (let y = 0; y < height; y++) {
+      pixels.set(
+        data.subarray(y * bytesPerRow, y * bytesPerRow + row),
+        y * paddedRow,
+      );
+    }
+    buffer.unmap();
+    buffer.destroy();
+
+    if (format === "bgra8unorm") {
+      for (let i = 0; i < pixels.length; i += 4) {
+        const b = pixels[i];
+        pixels[i] = pixels[i + 2];
+        pixels[i + 2] = b;
+      }
+    }
+
+    if (this.alpha && alphaMode === "premultiplied") {
+      unpremultiplyAlpha(pixels);
+    }
+
+    return pixels;
   }
 
   getParamString() {
-    return `${this.width}x${this.height}@${this.frameRate}fps`;
+    const range =
+      this.startFrame || this.endFrame !== undefined
+        ? `-${this.startFrame}-${this.#endFrame}`
+        : "";
+    return `${this.width}x${this.height}@${Number(this.frameRate.toFixed(2))}fps${range}`;
   }
 
   getDefaultFileName(extension) {
@@ -152,13 +387,7 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
 
   getSupportedTarget() {
     const CurrentEncoder = this.encoder.constructor;
-    let isTargetSupported = CurrentEncoder.supportedTargets.includes(
-      this.target,
-    );
-
-    if (this.target === "file-system" && !("showSaveFilePicker" in window)) {
-      isTargetSupported = false;
-    }
+    const isTargetSupported = CurrentEncoder.isTargetSupported(this.target);
 
     const target = isTargetSupported
       ? this.target
@@ -179,11 +408,21 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
    * @param {RecorderOptions} [options={}]
    */
   constructor(context, options = {}) {
+    super();
+
     this.context = context;
 
-    const opts = { ...Recorder.defaultOptions, ...options };
+    // The startTime option is converted to startFrame: this.startTime is the recording start Date
+    const { startTime, ...opts } = { ...Recorder.defaultOptions, ...options };
+    if (options.startFrame === undefined && Number.isFinite(startTime)) {
+      opts.startFrame = Math.round(startTime * opts.frameRate);
+    }
     Object.assign(this, opts);
 
+    this.#options = opts;
+    this.#negotiate =
+      !this.encoder && !["gif", "png", "jpg"].includes(this.extension);
+
     if (!this.encoder) {
       if (this.extension === "gif") {
         this.encoder = new GIFEncoder(opts);
@@ -199,26 +438,154 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
     this.#updateStatus(RecorderStatus.Ready);
   }
 
+  /**
+   * Probe encoders and codecs in order (WebCodecs AVC > HEVC > VP9 > MP4Wasm > H264MP4 > FFmpeg) for the current extension and size, and switch to the first supported one.
+   * Called on init when no encoder is specified. Dispatches a "negotiated" event with `{ encoder, codec }`.
+   * @private
+   */
+  async negotiateEncoder() {
+    const options = {
+      width: this.width,
+      height: this.height,
+      frameRate: this.frameRate,
+      extension: this.extension,
+      mimeType: Recorder.mimeTypes[this.extension],
+      alpha: this.alpha,
+    };
+
+    const candidates = this.encoderOptions?.codec
+      ? [{ load: () => WebCodecsEncoder, codec: this.encoderOptions.codec }]
+      : [];
+    candidates.push(...ENCODER_FALLBACKS);
+
+    for (const { load, codec } of candidates) {
+      const CandidateEncoder = await load();
+      if (!CandidateEncoder.supportedExtensions.includes(this.extension)) {
+        continue;
+      }
+
+      const encoderOptions = codec
+        ? { ...this.encoderOptions, codec }
+        : this.encoderOptions;
+
+      if (await CandidateEncoder.isSupported({ ...options, encoderOptions })) {
+        if (!(this.encoder instanceof CandidateEncoder)) {
+          this.encoder = new CandidateEncoder(this.#options);
+        }
+        this.codec = codec;
+        this.#dispatch("negotiated", {
+          encoder: CandidateEncoder.name,
+          codec,
+        });
+        return;
+      }
+    }
+
+    throw new Error(
+      `canvas-record: no supported encoder for extension "${this.extension}" at ${this.getParamString()}.`,
+    );
+  }
+
   /**
    * Sets up the recorder internals and the encoder depending on supported features.
    * @private
    */
   async init({ filename } = {}) {
+    this.error = null;
     this.#updateStatus(RecorderStatus.Initializing);
 
-    this.deltaTime = 1 / this.frameRate;
-    this.time = 0;
-    this.frame = 0;
-    this.frameTotal = this.duration * this.frameRate;
+    // Frame times are computed from the frame number to avoid accumulating rounding errors
+    this.#frameRateFraction = getFrameRateFraction(this.frameRate);
+    const [numerator, denominator] = this.#frameRateFraction;
+    this.deltaTime = this.#getFrameTime(1);
+    if (this.frames !== undefined && this.endFrame !== undefined) {
+      throw new Error(
+        "canvas-record: frames and endFrame can't be used together.",
+      );
+    }
+    const endFrame =
+      this.endFrame ??
+      (this.frames !== undefined
+        ? this.startFrame + this.frames
+        : Math.round((this.duration * numerator) / denominator));
+    if (!Number.isInteger(endFrame) && endFrame !== Infinity) {
+      throw new Error(
+        `canvas-record: frames and endFrame must be integers (${endFrame}).`,
+      );
+    }
+    if (!(this.startFrame >= 0 && this.startFrame < endFrame)) {
+      throw new Error(
+        `canvas-record: startFrame (${this.startFrame}) must be in [0, ${endFrame}).`,
+      );
+    }
+    this.frameTotal = endFrame - this.startFrame;
+    this.frame = this.startFrame;
+    this.time = this.#getFrameTime(this.frame);
+
+    // mp4-muxer, MP4Wasm, H264MP4 and MediaRecorder MP4 don't support transparency
+    if (this.alpha && this.extension === "mp4") {
+      throw new Error(
+        `canvas-record: alpha isn't supported with the "mp4" extension. Use "webm", "mkv", "mov", "gif" or "png".`,
+      );
+    }
+
+    if (this.#negotiate) await this.negotiateEncoder();
 
     const extension = this.getSupportedExtension();
     const target = this.getSupportedTarget();
 
+    const { supportsAudio } = this.encoder.constructor;
+
+    // Both would be encoded into the same audio track
+    if (this.audio && this.audioGraph) {
+      throw new Error(
+        "canvas-record: audio and audioGraph can't be used together.",
+      );
+    }
+
+    this.#audioSource = null;
+    if (this.audio) {
+      if (supportsAudio) {
+        this.#audioSource = createAudioSource(this.audio);
+      } else {
+        console.warn(
+          `canvas-record: audio not supported by encoder "${this.encoder.constructor.name}". Ignoring audio.`,
+        );
+      }
+    }
+
+    this.#audioRenderer = null;
+    this.audioContext = null;
+    if (this.audioGraph) {
+      if (!Number.isFinite(this.frameTotal)) {
+        throw new Error(
+          "canvas-record: audioGraph requires a finite duration.",
+        );
+      }
+      const { numberOfChannels = 2, sampleRate = 48000 } =
+        this.audioContextOptions || {};
+
+      this.#audioRenderer = new OfflineAudioRenderer({
+        numberOfChannels,
+        sampleRate,
+        length: Math.ceil(this.#endFrame * this.deltaTime * sampleRate),
+      });
+      this.audioContext = this.#audioRenderer.context;
+      await this.audioGraph(this.audioContext);
+      // Audio is encoded from the first frame time: render the graph up to it before the first step
+      await this.#audioRenderer.renderUntil(this.time);
+    }
+    const audio =
+      this.#audioSource || (supportsAudio ? this.#audioRenderer : null);
+
     this.startTime = new Date();
+    this.#pausedDuration = 0;
     this.filename = filename || this.getDefaultFileName(extension);
 
     await this.encoder.init({
-      encoderOptions: this.encoderOptions,
+      encoderOptions: this.codec
+        ? { ...this.encoderOptions, codec: this.codec }
+        : this.encoderOptions,
       muxerOptions: this.muxerOptions,
       canvas: this.context.canvas,
       width: this.width,
@@ -227,7 +594,21 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
       extension,
       target,
       mimeType: Recorder.mimeTypes[extension],
+      alpha: this.alpha,
+      startFrame: this.startFrame,
+      fragmented: this.fragmented,
+      segments: this.segments,
       filename: this.filename,
+      audioConfig: audio && {
+        sampleRate: audio.sampleRate,
+        numberOfChannels: audio.numberOfChannels,
+      },
+      audioEncoderOptions: this.audioEncoderOptions,
+      sink: this.sink,
+      upload: this.upload,
+      websocket: this.websocket,
+      onChunk: (chunk, metadata, track = "video") =>
+        this.#dispatch("chunk", { chunk, metadata, track }),
       debug: this.debug,
     });
 
@@ -239,7 +620,17 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
    * @param {RecorderStartOptions} [startOptions={}]
    */
   async start(startOptions = {}) {
-    await this.init(startOptions);
+    const { signal } = startOptions;
+    signal?.throwIfAborted();
+
+    try {
+      this.#initPromise = this.init(startOptions);
+      await this.#initPromise;
+    } catch (error) {
+      await this.#fail(error);
+    } finally {
+      this.#initPromise = null;
+    }
 
     // Ensure initializing worked
     if (this.status !== RecorderStatus.Initialized) {
@@ -247,6 +638,19 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
       return;
     }
 
+    if (signal) {
+      if (signal.aborted) return await this.cancel();
+
+      this.#signal = signal;
+      signal.addEventListener("abort", this.#onAbort, { once: true });
+    }
+
+    if (this.virtualClock) {
+      this.#clock ||= new VirtualClock();
+      this.#clock.install();
+      this.#clock.update(this.time);
+    }
+
     this.#updateStatus(RecorderStatus.Recording);
 
     if (!startOptions.initOnly) await this.step();
@@ -263,13 +667,15 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
       }
       case "videoFrame": {
         return new VideoFrame(this.context.canvas, {
-          timestamp: this.time * 1_000_000, // in µs
+          timestamp: Math.round(this.time * 1_000_000), // in µs
         });
       }
       case "requestFrame": {
         return undefined;
       }
       case "imageData": {
+        if (this.#isWebGPU) return await this.#readWebGPUPixels();
+
         if (this.context.drawingBufferWidth) {
           const width = this.context.drawingBufferWidth;
           const height = this.context.drawingBufferHeight;
@@ -294,6 +700,14 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
             pixelsFlipped.set(pixels.subarray(i, i + row), end - i);
           }
 
+          // Drawing buffer is premultiplied by default
+          if (
+            this.alpha &&
+            this.context.getContextAttributes().premultipliedAlpha
+          ) {
+            unpremultiplyAlpha(pixelsFlipped);
+          }
+
           return pixelsFlipped;
         }
 
@@ -305,6 +719,15 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
         ).data;
       }
       default: {
+        // OffscreenCanvas
+        if (typeof this.context.canvas.convertToBlob === "function") {
+          const { extension } = this.encoder;
+          return await this.context.canvas.convertToBlob({
+            type: `image/${extension === "jpg" ? "jpeg" : extension}`,
+            quality: 1,
+          });
+        }
+
         return await canvasScreenshot(this.context.canvas, {
           useBlob: true,
           download: false,
@@ -314,51 +737,198 @@ Speedup: x${(this.time / renderTime).toFixed(3)}`,
     }
   }
 
+  /**
+   * Download the recorded buffer when `download` is set.
+   * @private
+   */
+  async downloadFile(buffer) {
+    downloadBlob(
+      this.filename,
+      Array.isArray(buffer) ? buffer : [buffer],
+      this.encoder.mimeType,
+    );
+  }
+
   /**
    * Encode a frame and increment the time and the playhead.
-   * Calls `await canvasRecorder.stop()` when duration is reached.
+   * Calls `await canvasRecorder.stop()` when duration is reached. Does nothing while paused.
+   * Rejects and sets the status to `RecorderStatus.Error` if the encoder failed.
    */
   async step() {
+    if (this.status === RecorderStatus.Paused) return;
+
     if (
       this.status === RecorderStatus.Recording &&
-      this.frame < this.frameTotal
+      this.frame < this.#endFrame
     ) {
-      await this.encoder.encode(
-        await this.getFrame(this.encoder.frameMethod),
-        this.frame,
-      );
-      this.time += this.deltaTime;
-      this.frame++;
+      try {
+        await this.encoder.encode(
+          await this.getFrame(this.encoder.frameMethod),
+          this.frame,
+        );
+        if (this.#audioSource) {
+          const audioData = await this.#audioSource.read(
+            this.time,
+            this.deltaTime,
+          );
+          if (audioData) await this.encoder.encodeAudio(audioData);
+        }
+        this.#dispatch("frame", { frame: this.frame, time: this.time });
+
+        this.frame++;
+        this.time = this.#getFrameTime(this.frame);
+        this.#clock?.update(this.time);
+
+        await this.#audioRenderer?.renderUntil(this.time);
+      } catch (error) {
+        await this.#fail(error);
+        return;
+      }
+
+      this.#dispatch("progress", {
+        frame: this.frame,
+        frameTotal: this.frameTotal,
+        progress: Number.isFinite(this.frameTotal)
+          ? (this.frame - this.startFrame) / this.frameTotal
+          : undefined,
+        stats: this.stats,
+      });
     } else {
       await this.stop();
     }
   }
 
   /**
-   * Stop the recording and return the recorded buffer.
+   * Pause the recording: calls to `await canvasRecorder.step()` are ignored until resumed.
+   * The encoder is kept open so that frames are appended with continuous timestamps.
+   */
+  async pause() {
+    if (this.status !== RecorderStatus.Recording) return;
+
+    this.#pauseTime = now();
+    this.#audioSource?.pause();
+    await this.encoder.pause();
+
+    this.#updateStatus(RecorderStatus.Paused);
+  }
+
+  /**
+   * Resume a paused recording.
+   */
+  async resume() {
+    if (this.status !== RecorderStatus.Paused) return;
+
+    await this.encoder.resume();
+    this.#audioSource?.resume();
+    this.#pausedDuration += now() - this.#pauseTime;
+
+    this.#updateStatus(RecorderStatus.Recording);
+  }
+
+  async #encodeRenderedAudio() {
+    if (!this.#audioRenderer) return;
+
+    const audioBuffer = await this.#audioRenderer.finish();
+    this.#audioRenderer = null;
+
+    if (!this.encoder.constructor.supportsAudio) return;
+
+    // Encode the rendered audio in one second chunks from the first recorded frame
+    const audioSource = createAudioSource(audioBuffer);
+    for (
+      let time = this.#getFrameTime(this.startFrame);
+      time < this.time;
+      time++
+    ) {
+      const audioData = await audioSource.read(
+        time,
+        Math.min(1, this.time - time),
+      );
+      if (audioData) await this.encoder.encodeAudio(audioData);
+    }
+  }
+
+  /**
+   * Stop the recording (or a paused recording) and return the recorded buffer.
    * If options.download is set, automatically start downloading the resulting file.
    * Is called when duration is reached or manually.
+   * Rejects and sets the status to `RecorderStatus.Error` if the encoder failed.
    * @returns {(ArrayBuffer|Uint8Array|Blob[]|undefined)}
    */
   async stop() {
-    if (this.status !== RecorderStatus.Recording) return;
+    if (
+      this.status !== RecorderStatus.Recording &&
+      this.status !== RecorderStatus.Paused
+    ) {
+      return;
+    }
 
+    if (this.status === RecorderStatus.Paused) {
+      this.#pausedDuration += now() - this.#pauseTime;
+    }
+
+    this.#removeAbortListener();
+    this.#clock?.uninstall();
     this.#updateStatus(RecorderStatus.Stopping);
 
-    const buffer = await this.encoder.stop();
+    let buffer;
+    try {
+      this.#audioSource?.dispose();
+      this.#audioSource = null;
 
-    if (this.download && buffer) {
-      downloadBlob(
-        this.filename,
-        Array.isArray(buffer) ? buffer : [buffer],
-        this.encoder.mimeType,
-      );
+      await this.#encodeRenderedAudio();
+
+      buffer = await this.encoder.stop();
+
+      if (this.download && buffer) await this.downloadFile(buffer);
+    } catch (error) {
+      await this.#fail(error);
     }
+
+    this.#dispatch("complete", {
+      buffer,
+      filename: this.filename,
+      mimeType: this.encoder.mimeType,
+    });
     this.#updateStatus(RecorderStatus.Stopped);
 
     return buffer;
   }
 
+  /**
+   * Cancel the recording without producing an output: tear down the encoder and remove partial files and temporary data.
+   * Waits for initialisation to complete if called while initializing.
+   */
+  async cancel() {
+    if (this.status === RecorderStatus.Initializing) {
+      await this.#initPromise?.catch(() => {});
+    }
+
+    if (
+      ![
+        RecorderStatus.Initialized,
+        RecorderStatus.Recording,
+        RecorderStatus.Paused,
+      ].includes(this.status)
+    ) {
+      return;
+    }
+
+    this.#removeAbortListener();
+    this.#clock?.uninstall();
+    this.#updateStatus(RecorderStatus.Cancelled);
+
+    this.#audioSource?.dispose();
+    this.#audioSource = null;
+    this.#audioRenderer = null;
+
+    try {
+      await this.encoder.cancel();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
   /**
    * Clean up the recorder and encoder
    */
@@ -0,0 +1,126 @@
+/**
+ * Patch time related globals so that time only advances when the clock is updated.
+ * Covers `performance.now()`, `Date.now()`, `requestAnimationFrame` timestamps and CSS/Web Animations of the document.
+ *
+ * @example
+ * ```js
+ * const clock = new VirtualClock();
+ * clock.install();
+ * clock.update(1 / 30); // performance.now() advanced by 33.33ms
+ * clock.uninstall();
+ * ```
+ */
+class VirtualClock {
+  /**
+   * The virtual time in seconds since install.
+   * @type {number}
+   */
+  time = 0;
+
+  #installed = false;
+  #patches = [];
+  #performanceOrigin;
+  #dateOrigin;
+  #animations = new Map();
+
+  get installed() {
+    return this.#installed;
+  }
+
+  #patch(object, key, value) {
+    if (!object || typeof object[key] !== "function") return;
+
+    this.#patches.push({
+      object,
+      key,
+      descriptor: Object.getOwnPropertyDescriptor(object, key),
+    });
+    Object.defineProperty(object, key, {
+      value,
+      configurable: true,
+      writable: true,
+    });
+  }
+
+  #getAnimations() {
+    return typeof document !== "undefined" && document.getAnimations
+      ? document.getAnimations()
+      : [];
+  }
+
+  #updateAnimations() {
+    for (const animation of this.#getAnimations()) {
+      // Keep track of animations created while recording
+      if (!this.#animations.has(animation)) {
+        this.#animations.set(animation, {
+          playState: animation.playState,
+          currentTime: (animation.currentTime || 0) - this.time * 1000,
+        });
+      }
+      if (animation.playState !== "paused") animation.pause();
+
+      animation.currentTime =
+        this.#animations.get(animation).currentTime + this.time * 1000;
+    }
+  }
+
+  /**
+   * Start patching the globals. Time is frozen until `update` is called.
+   */
+  install() {
+    if (this.#installed) return;
+
+    this.time = 0;
+    this.#performanceOrigin = performance.now();
+    this.#dateOrigin = Date.now();
+
+    const now = () => this.#performanceOrigin + this.time * 1000;
+
+    this.#patch(globalThis.performance, "now", now);
+    this.#patch(Date, "now", () =>
+      Math.floor(this.#dateOrigin + this.time * 1000),
+    );
+
+    const requestAnimationFrame = globalThis.requestAnimationFrame;
+    this.#patch(globalThis, "requestAnimationFrame", (callback) =>
+      requestAnimationFrame(() => callback(now())),
+    );
+
+    this.#installed = true;
+    this.#updateAnimations();
+  }
+
+  /**
+   * Set the virtual time and seek animations.
+   * @param {number} time Time in seconds since install.
+   */
+  update(time) {
+    this.time = time;
+    if (this.#installed) this.#updateAnimations();
+  }
+
+  /**
+   * Restore the globals and resume the animations that were running.
+   */
+  uninstall() {
+    if (!this.#installed) return;
+
+    for (const { object, key, descriptor } of this.#patches.reverse()) {
+      if (descriptor) {
+        Object.defineProperty(object, key, descriptor);
+      } else {
+        delete object[key];
+      }
+    }
+    this.#patches = [];
+
+    for (const [animation, { playState }] of this.#animations) {
+      if (playState === "running") animation.play();
+    }
+    this.#animations.clear();
+
+    this.#installed = false;
+  }
+}
+
+export { VirtualClock };
@@ -0,0 +1,211 @@
+/**
+ * @typedef {object} AudioPCM Raw planar PCM audio.
+ * @property {Float32Array[]} channels One Float32Array of samples in the [-1, 1] range per channel.
+ * @property {number} sampleRate The sample rate in Hz.
+ */
+
+/**
+ * @typedef {AudioBuffer | MediaStreamTrack | AudioPCM} RecorderAudio An audio source to mux alongside the video.
+ */
+
+const toAudioDataInit = (channels, numberOfFrames, sampleRate, time) => {
+  const data = new Float32Array(numberOfFrames * channels.length);
+  for (let i = 0; i < channels.length; i++) {
+    data.set(channels[i], i * numberOfFrames);
+  }
+
+  return {
+    format: "f32-planar",
+    sampleRate,
+    numberOfChannels: channels.length,
+    numberOfFrames,
+    timestamp: Math.round(time * 1_000_000), // in µs
+    data,
+  };
+};
+
+/**
+ * Read samples from an AudioBuffer or raw PCM at the recorder deterministic time.
+ * @private
+ */
+class PCMAudioSource {
+  constructor({ channels, sampleRate }) {
+    this.channels = channels;
+    this.sampleRate = sampleRate;
+    this.numberOfChannels = channels.length;
+    this.length = channels[0]?.length || 0;
+  }
+
+  async read(time, duration) {
+    const start = Math.round(time * this.sampleRate);
+    const end = Math.min(
+      Math.round((time + duration) * this.sampleRate),
+      this.length,
+    );
+    if (start >= end) return;
+
+    return toAudioDataInit(
+      this.channels.map((channel) => channel.subarray(start, end)),
+      end - start,
+      this.sampleRate,
+      start / this.sampleRate,
+    );
+  }
+
+  pause() {}
+  resume() {}
+  dispose() {
+    this.channels = null;
+  }
+}
+
+/**
+ * Accumulate samples from a live MediaStreamTrack. Real-time only: samples are timestamped in order of arrival.
+ * @private
+ */
+class MediaStreamTrackAudioSource {
+  constructor(track) {
+    const { sampleRate, channelCount } = track.getSettings();
+    this.sampleRate = sampleRate;
+    this.numberOfChannels = channelCount || 2;
+    this.framesRead = 0;
+    this.pending = [];
+    this.paused = false;
+
+    const processor = new MediaStreamTrackProcessor({ track });
+    this.reader = processor.readable.getReader();
+    this.pump();
+  }
+
+  async pump() {
+    for (;;) {
+      const { value: audioData, done } = await this.reader.read();
+      if (done) return;
+
+      if (!this.paused) {
+        this.pending.push(
+          Array.from({ length: this.numberOfChannels }, (_, planeIndex) => {
+            const channel = new Float32Array(audioData.numberOfFrames);
+            audioData.copyTo(channel, {
+              planeIndex: Math.min(planeIndex, audioData.numberOfChannels - 1),
+              format: "f32-planar",
+            });
+            return channel;
+          }),
+        );
+      }
+      audioData.close();
+    }
+  }
+
+  async read() {
+    if (!this.pending.length) return;
+
+    const numberOfFrames = this.pending.reduce(
+      (sum, channels) => sum + channels[0].length,
+      0,
+    );
+    const channels = Array.from({ length: this.numberOfChannels }, (_, i) => {
+      const channel = new Float32Array(numberOfFrames);
+      let offset = 0;
+      for (const chunk of this.pending) {
+        channel.set(chunk[i], offset);
+        offset += chunk[i].length;
+      }
+      return channel;
+    });
+    this.pending = [];
+
+    const time = this.framesRead / this.sampleRate;
+    this.framesRead += numberOfFrames;
+
+    return toAudioDataInit(channels, numberOfFrames, this.sampleRate, time);
+  }
+
+  pause() {
+    this.paused = true;
+  }
+  resume() {
+    this.paused = false;
+  }
+  dispose() {
+    this.reader.cancel();
+    this.pending = [];
+  }
+}
+
+/**
+ * Render an OfflineAudioContext in lock-step with the recorder time by suspending it at each frame.
+ * @private
+ */
+class OfflineAudioRenderer {
+  static RENDER_QUANTUM_SIZE = 128;
+
+  constructor(options) {
+    this.context = new OfflineAudioContext(options);
+    this.sampleRate = this.context.sampleRate;
+    this.numberOfChannels = options.numberOfChannels;
+    this.length = options.length;
+    this.rendering = null;
+  }
+
+  #render() {
+    if (this.rendering) {
+      this.context.resume();
+    } else {
+      this.rendering = this.context.startRendering();
+    }
+  }
+
+  /**
+   * Render the audio graph until a time in seconds. Suspend times are quantized to render quantum boundaries.
+   * @param {number} time
+   */
+  async renderUntil(time) {
+    const { RENDER_QUANTUM_SIZE } = OfflineAudioRenderer;
+    const frame =
+      Math.floor((time * this.sampleRate) / RENDER_QUANTUM_SIZE) *
+      RENDER_QUANTUM_SIZE;
+
+    if (
+      frame >= this.length ||
+      frame <= Math.round(this.context.currentTime * this.sampleRate)
+    ) {
+      return;
+    }
+
+    const suspended = this.context.suspend(frame / this.sampleRate);
+    this.#render();
+    await suspended;
+  }
+
+  /**
+   * Render the remaining audio and return the complete AudioBuffer.
+   * @returns {Promise<AudioBuffer>}
+   */
+  async finish() {
+    this.#render();
+    return await this.rendering;
+  }
+}
+
+/**
+ * Create an audio source from an AudioBuffer, a MediaStreamTrack or raw PCM.
+ * @private
+ * @param {RecorderAudio} audio
+ */
+const createAudioSource = (audio) => {
+  if (typeof audio.getChannelData === "function") {
+    return new PCMAudioSource({
+      channels: Array.from({ length: audio.numberOfChannels }, (_, i) =>
+        audio.getChannelData(i),
+      ),
+      sampleRate: audio.sampleRate,
+    });
+  }
+  if (audio.kind === "audio") return new MediaStreamTrackAudioSource(audio);
+
+  return new PCMAudioSource(audio);
+};
+
+export { createAudioSource, OfflineAudioRenderer };
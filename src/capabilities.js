@@ -0,0 +1,52 @@
+import * as Encoders from "./encoders/index.js";
+
+/**
+ * @typedef {object} Capabilities
+ * @property {import("./encoders/Encoder.js").EncoderExtensions[]} extensions Extensions supported by at least one encoder.
+ * @property {import("./encoders/Encoder.js").EncoderTarget[]} targets Targets supported by at least one encoder.
+ * @property {Object<string, import("./encoders/Encoder.js").EncoderCapabilities>} encoders Capabilities per encoder name.
+ */
+
+/**
+ * Query the capabilities of all encoders in the current environment.
+ *
+ * @example
+ * ```js
+ * const { extensions, encoders } = await getCapabilities();
+ * extensionSelect.options.forEach((option) => {
+ *   option.disabled = !extensions.includes(option.value);
+ * });
+ * ```
+ *
+ * @param {object} [options] Reference settings to probe support with. Default to `Encoder.probeOptions`.
+ * @returns {Promise<Capabilities>}
+ */
+const getCapabilities = async (options) => {
+  const encoders = {};
+  for (const [name, CurrentEncoder] of Object.entries(Encoders)) {
+    // Skip base classes
+    if (
+      CurrentEncoder === Encoders.Encoder ||
+      CurrentEncoder === Encoders.WorkerEncoder
+    ) {
+      continue;
+    }
+    encoders[name] = await CurrentEncoder.getCapabilities(options);
+  }
+
+  const supported = Object.values(encoders).filter(
+    (capabilities) => capabilities.supported,
+  );
+
+  return {
+    extensions: [
+      ...new Set(supported.flatMap((capabilities) => capabilities.extensions)),
+    ],
+    targets: [
+      ...new Set(supported.flatMap((capabilities) => capabilities.targets)),
+    ],
+    encoders,
+  };
+};
+
+export { getCapabilities };
@@ -0,0 +1,887 @@
+import * as MP4Muxer from "mp4-muxer";
+import * as WebMMuxer from "webm-muxer";
+
+import { readBoxes, findBox } from "./segments.js";
+
+/**
+ * @typedef {object} ConcatOptions
+ * @property {(data: Uint8Array, position: number) => void} [onData] Stream the output instead of returning an ArrayBuffer. Data can be written at previous positions (MP4 header, WebM sizes and cues).
+ * @property {number} [frameRate] Frame rate of the chunks. WebM timestamps are rounded to milliseconds so chunk durations are otherwise estimated from the average frame interval.
+ */
+
+/**
+ * A demuxed sample with timestamps in microseconds.
+ * @typedef {object} Sample
+ * @property {Uint8Array} data
+ * @property {"key" | "delta"} type
+ * @property {number} timestamp Presentation timestamp.
+ * @property {number} duration
+ * @property {number} compositionTimeOffset
+ * @private
+ */
+
+/**
+ * A demuxed track: muxer options, decoder config and samples.
+ * @typedef {object} Track
+ * @property {object} options
+ * @property {object} decoderConfig
+ * @property {Sample[]} samples
+ * @private
+ */
+
+// ISO/IEC 23091-2 code points known by the muxers
+const COLOR_PRIMARIES = { 1: "bt709", 5: "bt470bg", 6: "smpte170m" };
+const TRANSFER_CHARACTERISTICS = {
+  1: "bt709",
+  6: "smpte170m",
+  13: "iec61966-2-1",
+};
+const MATRIX_COEFFICIENTS = {
+  0: "rgb",
+  1: "bt709",
+  5: "bt470bg",
+  6: "smpte170m",
+};
+
+const getColorSpace = (primaries, transfer, matrix, fullRange) => {
+  const colorSpace = {
+    primaries: COLOR_PRIMARIES[primaries],
+    transfer: TRANSFER_CHARACTERISTICS[transfer],
+    matrix: MATRIX_COEFFICIENTS[matrix],
+    fullRange,
+  };
+  return colorSpace.primaries && colorSpace.transfer && colorSpace.matrix
+    ? colorSpace
+    : undefined;
+};
+
+const toHex = (value) => value.toString(16).padStart(2, "0");
+
+const isEqual = (a, b) =>
+  a?.byteLength === b?.byteLength &&
+  (!a || a.every((value, i) => value === b[i]));
+
+// MP4
+const MP4_CONTAINER_BOXES = [
+  "moov",
+  "trak",
+  "mdia",
+  "minf",
+  "stbl",
+  "mvex",
+  "moof",
+  "traf",
+];
+
+const MP4_VIDEO_CODECS = {
+  avc1: "avc",
+  avc3: "avc",
+  hvc1: "hevc",
+  hev1: "hevc",
+  vp09: "vp9",
+  av01: "av1",
+};
+const MP4_AUDIO_CODECS = { mp4a: "aac", Opus: "opus" };
+
+const getBoxType = (bytes, offset) =>
+  String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+
+const findBoxes = (boxes, type) => boxes?.filter((box) => box.type === type);
+
+// Full box entries start after the version and flags
+const readTable = (view, box, getEntry) => {
+  if (!box) return [];
+
+  const count = view.getUint32(box.dataStart + 4);
+  return Array.from({ length: count }, (_, i) =>
+    getEntry(box.dataStart + 8, i),
+  );
+};
+
+/**
+ * Find the DecoderSpecificInfo (tag 5) in the esds descriptors.
+ * @private
+ */
+const readESDescriptor = (bytes, start, end) => {
+  let offset = start;
+  while (offset < end) {
+    const tag = bytes[offset++];
+    let size = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = bytes[offset++];
+      size = (size << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) break;
+    }
+
+    if (tag === 5) return bytes.slice(offset, offset + size);
+    if (tag === 3) {
+      // ES_ID and flags: stream dependence, URL and OCR stream
+      const flags = bytes[offset + 2];
+      let dataStart = offset + 3;
+      if (flags & 0x80) dataStart += 2;
+      if (flags & 0x40) dataStart += bytes[dataStart] + 1;
+      if (flags & 0x20) dataStart += 2;
+      return readESDescriptor(bytes, dataStart, offset + size);
+    }
+    // DecoderConfigDescriptor fields before its descriptors
+    if (tag === 4) return readESDescriptor(bytes, offset + 13, offset + size);
+
+    offset += size;
+  }
+};
+
+const parseMP4SampleEntry = (bytes, view, stsd, handler) => {
+  const start = stsd.dataStart + 8;
+  const fourcc = getBoxType(bytes, start);
+
+  if (handler === "vide") {
+    const children = readBoxes(
+      bytes,
+      start + 86,
+      start + view.getUint32(start),
+    );
+    const config = children.find((box) =>
+      ["avcC", "hvcC", "vpcC", "av1C"].includes(box.type),
+    );
+    const description =
+      config && bytes.slice(config.dataStart, config.start + config.size);
+
+    let codec = fourcc;
+    let colorSpace;
+    if (config?.type === "avcC") {
+      codec = `${fourcc}.${[...description.subarray(1, 4)].map(toHex).join("")}`;
+    }
+    const colr = findBox(children, "colr");
+    if (colr && getBoxType(bytes, colr.dataStart - 4) === "nclx") {
+      colorSpace = getColorSpace(
+        view.getUint16(colr.dataStart + 4),
+        view.getUint16(colr.dataStart + 6),
+        view.getUint16(colr.dataStart + 8),
+        !!(bytes[colr.dataStart + 10] & 0x80),
+      );
+    }
+    if (config?.type === "vpcC") {
+      const [profile, level, bitDepth] = description.subarray(4, 7);
+      codec = `${fourcc}.${[profile, level, bitDepth >> 4]
+        .map((value) => String(value).padStart(2, "0"))
+        .join(".")}`;
+      // Required by mp4-muxer
+      colorSpace ||= getColorSpace(
+        ...description.subarray(7, 10),
+        !!(bitDepth & 0x01),
+      ) || {
+        primaries: "bt709",
+        transfer: "bt709",
+        matrix: "bt709",
+        fullRange: !!(bitDepth & 0x01),
+      };
+    }
+
+    return {
+      options: {
+        codec: MP4_VIDEO_CODECS[fourcc],
+        width: view.getUint16(start + 32),
+        height: view.getUint16(start + 34),
+      },
+      decoderConfig: {
+        codec,
+        ...(["avcC", "hvcC"].includes(config?.type) && { description }),
+        ...(colorSpace && { colorSpace }),
+      },
+    };
+  }
+
+  const numberOfChannels = view.getUint16(start + 24);
+  const sampleRate = view.getUint16(start + 32);
+  const children = readBoxes(bytes, start + 36, start + view.getUint32(start));
+
+  let codec = fourcc;
+  let description;
+  const esds = findBox(children, "esds");
+  const dOps = findBox(children, "dOps");
+  if (esds) {
+    description = readESDescriptor(
+      bytes,
+      esds.dataStart + 4,
+      esds.start + esds.size,
+    );
+    codec = `mp4a.40.${description ? description[0] >> 3 : 2}`;
+  } else if (dOps) {
+    codec = "opus";
+    // OpusHead identification header for the pre-skip and gain
+    description = new Uint8Array(19);
+    const opusHead = new DataView(description.buffer);
+    description.set(new TextEncoder().encode("OpusHead"));
+    opusHead.setUint8(8, 1);
+    opusHead.setUint8(9, numberOfChannels);
+    opusHead.setUint16(10, view.getUint16(dOps.dataStart + 2), true);
+    opusHead.setUint32(12, sampleRate, true);
+    opusHead.setInt16(16, view.getInt16(dOps.dataStart + 8), true);
+  }
+
+  return {
+    options: { codec: MP4_AUDIO_CODECS[fourcc], numberOfChannels, sampleRate },
+    decoderConfig: {
+      codec,
+      numberOfChannels,
+      sampleRate,
+      ...(description && { description }),
+    },
+  };
+};
+
+// Samples of a non fragmented track from the sample table
+const readMP4SampleTable = (bytes, view, stbl) => {
+  const box = (type) => findBox(stbl.children, type);
+
+  const durations = readTable(view, box("stts"), (offset, i) => [
+    view.getUint32(offset + i * 8),
+    view.getUint32(offset + i * 8 + 4),
+  ]).flatMap(([count, delta]) => Array(count).fill(delta));
+
+  const ctts = box("ctts");
+  const compositionOffsets = readTable(view, ctts, (offset, i) => [
+    view.getUint32(offset + i * 8),
+    view.getUint8(ctts.dataStart) === 1
+      ? view.getInt32(offset + i * 8 + 4)
+      : view.getUint32(offset + i * 8 + 4),
+  ]).flatMap(([count, offset]) => Array(count).fill(offset));
+
+  const stss = box("stss");
+  const syncSamples =
+    stss &&
+    new Set(
+      readTable(view, stss, (offset, i) => view.getUint32(offset + i * 4)),
+    );
+
+  const stsz = box("stsz");
+  const defaultSize = view.getUint32(stsz.dataStart + 4);
+  const sampleCount = view.getUint32(stsz.dataStart + 8);
+  const sizes = Array.from(
+    { length: sampleCount },
+    (_, i) => defaultSize || view.getUint32(stsz.dataStart + 12 + i * 4),
+  );
+
+  const chunkOffsets = box("co64")
+    ? readTable(view, box("co64"), (offset, i) =>
+        Number(view.getBigUint64(offset + i * 8)),
+      )
+    : readTable(view, box("stco"), (offset, i) =>
+        view.getUint32(offset + i * 4),
+      );
+  const samplesPerChunk = readTable(view, box("stsc"), (offset, i) => [
+    view.getUint32(offset + i * 12),
+    view.getUint32(offset + i * 12 + 4),
+  ]);
+
+  const samples = [];
+  let decodeTime = 0;
+  for (let chunk = 0; chunk < chunkOffsets.length; chunk++) {
+    const [, count] = samplesPerChunk.findLast(
+      ([firstChunk]) => firstChunk <= chunk + 1,
+    );
+    let offset = chunkOffsets[chunk];
+    for (let i = 0; i < count && samples.length < sampleCount; i++) {
+      const index = samples.length;
+      samples.push({
+        data: bytes.subarray(offset, offset + sizes[index]),
+        key: !syncSamples || syncSamples.has(index + 1),
+        decodeTime,
+        compositionOffset: compositionOffsets[index] ?? 0,
+        duration: durations[index],
+      });
+      offset += sizes[index];
+      decodeTime += durations[index];
+    }
+  }
+  return samples;
+};
+
+// Samples of a track from the moof/mdat fragments
+const readMP4Fragments = (bytes, view, boxes, trackId, trex) => {
+  const samples = [];
+
+  for (const moof of findBoxes(boxes, "moof")) {
+    for (const traf of findBoxes(moof.children, "traf")) {
+      const tfhd = findBox(traf.children, "tfhd");
+      if (view.getUint32(tfhd.dataStart + 4) !== trackId) continue;
+
+      const tfhdFlags = view.getUint32(tfhd.dataStart) & 0xffffff;
+      let offset = tfhd.dataStart + 8;
+      let baseOffset = moof.start;
+      if (tfhdFlags & 0x01) {
+        baseOffset = Number(view.getBigUint64(offset));
+        offset += 8;
+      }
+      if (tfhdFlags & 0x02) offset += 4;
+      const readDefault = (flag, value) => {
+        if (!(tfhdFlags & flag)) return value;
+        value = view.getUint32(offset);
+        offset += 4;
+        return value;
+      };
+      const defaultDuration = readDefault(0x08, trex.duration);
+      const defaultSize = readDefault(0x10, trex.size);
+      const defaultFlags = readDefault(0x20, trex.flags);
+
+      const tfdt = findBox(traf.children, "tfdt");
+      let decodeTime =
+        view.getUint8(tfdt.dataStart) === 1
+          ? Number(view.getBigUint64(tfdt.dataStart + 4))
+          : view.getUint32(tfdt.dataStart + 4);
+
+      for (const trun of findBoxes(traf.children, "trun")) {
+        const version = view.getUint8(trun.dataStart);
+        const flags = view.getUint32(trun.dataStart) & 0xffffff;
+        const sampleCount = view.getUint32(trun.dataStart + 4);
+
+        offset = trun.dataStart + 8;
+        let dataOffset = baseOffset;
+        if (flags & 0x001) {
+          dataOffset += view.getInt32(offset);
+          offset += 4;
+        }
+        let firstSampleFlags;
+        if (flags & 0x004) {
+          firstSampleFlags = view.getUint32(offset);
+          offset += 4;
+        }
+
+        for (let i = 0; i < sampleCount; i++) {
+          const read = (flag, value) => {
+            if (!(flags & flag)) return value;
+            value =
+              flag === 0x800 && version === 1
+                ? view.getInt32(offset)
+                : view.getUint32(offset);
+            offset += 4;
+            return value;
+          };
+          const duration = read(0x100, defaultDuration);
+          const size = read(0x200, defaultSize);
+          const sampleFlags = read(
+            0x400,
+            i === 0 ? (firstSampleFlags ?? defaultFlags) : defaultFlags,
+          );
+          const compositionOffset = read(0x800, 0);
+
+          samples.push({
+            data: bytes.subarray(dataOffset, dataOffset + size),
+            // sample_is_non_sync_sample
+            key: !(sampleFlags & 0x10000),
+            decodeTime,
+            compositionOffset,
+            duration,
+          });
+          dataOffset += size;
+          decodeTime += duration;
+        }
+      }
+    }
+  }
+  return samples;
+};
+
+/**
+ * Demux the first video and audio tracks of a MP4 (regular or fragmented).
+ * @private
+ * @returns {{ video: Track, audio?: Track }}
+ */
+const demuxMP4 = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = readBoxes(bytes, 0, bytes.byteLength, MP4_CONTAINER_BOXES);
+  const moov = findBox(boxes, "moov");
+  if (!moov) throw new Error("canvas-record: MP4 is missing its moov box.");
+
+  const tracks = {};
+  for (const trak of findBoxes(moov.children, "trak")) {
+    const tkhd = findBox(trak.children, "tkhd");
+    const mdia = findBox(trak.children, "mdia");
+    const mdhd = findBox(mdia.children, "mdhd");
+    const hdlr = findBox(mdia.children, "hdlr");
+    const stbl = findBox(findBox(mdia.children, "minf").children, "stbl");
+
+    const handler = getBoxType(bytes, hdlr.dataStart + 4);
+    const track = handler === "vide" ? "video" : handler === "soun" && "audio";
+    if (!track || tracks[track]) continue;
+
+    const id = view.getUint32(
+      tkhd.dataStart + (view.getUint8(tkhd.dataStart) === 1 ? 20 : 12),
+    );
+    const timescale = view.getUint32(
+      mdhd.dataStart + (view.getUint8(mdhd.dataStart) === 1 ? 20 : 12),
+    );
+
+    const trexBox = findBoxes(
+      findBox(moov.children, "mvex")?.children,
+      "trex",
+    )?.find((trex) => view.getUint32(trex.dataStart + 4) === id);
+    const trex = {
+      duration: trexBox ? view.getUint32(trexBox.dataStart + 12) : 0,
+      size: trexBox ? view.getUint32(trexBox.dataStart + 16) : 0,
+      flags: trexBox ? view.getUint32(trexBox.dataStart + 20) : 0,
+    };
+
+    const toMicroseconds = (time) => Math.round((time * 1e6) / timescale);
+    const samples = [
+      ...readMP4SampleTable(bytes, view, stbl),
+      ...readMP4Fragments(bytes, view, boxes, id, trex),
+    ].map(({ data, key, decodeTime, compositionOffset, duration }) => ({
+      data,
+      type: key ? "key" : "delta",
+      timestamp: toMicroseconds(decodeTime + compositionOffset),
+      duration: toMicroseconds(duration),
+      compositionTimeOffset: toMicroseconds(compositionOffset),
+    }));
+
+    tracks[track] = {
+      ...parseMP4SampleEntry(
+        bytes,
+        view,
+        findBox(stbl.children, "stsd"),
+        handler,
+      ),
+      samples,
+    };
+  }
+  return tracks;
+};
+
+// WebM/Matroska
+const EBML_IDS = {
+  EBML: 0x1a45dfa3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Colour: 0x55b0,
+  MatrixCoefficients: 0x55b1,
+  TransferCharacteristics: 0x55ba,
+  Primaries: 0x55bb,
+  Range: 0x55b9,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  ReferenceBlock: 0xfb,
+};
+
+const EBML_MASTER_IDS = [
+  EBML_IDS.EBML,
+  EBML_IDS.Segment,
+  EBML_IDS.Info,
+  EBML_IDS.Tracks,
+  EBML_IDS.TrackEntry,
+  EBML_IDS.Video,
+  EBML_IDS.Colour,
+  EBML_IDS.Audio,
+  EBML_IDS.Cluster,
+  EBML_IDS.BlockGroup,
+];
+
+// Segment children, ending the unknown-size elements (live streaming)
+const EBML_LEVEL_1_IDS = [
+  0x114d9b74, // SeekHead
+  EBML_IDS.Info,
+  EBML_IDS.Tracks,
+  EBML_IDS.Cluster,
+  0x1c53bb6b, // Cues
+  0x1043a770, // Chapters
+  0x1254c367, // Tags
+  0x1941a469, // Attachments
+];
+
+const readVint = (bytes, offset, isId = false) => {
+  const first = bytes[offset];
+  let length = 1;
+  while (length < 8 && !(first & (0x80 >> (length - 1)))) length++;
+
+  let value = isId ? first : first & (0xff >> length);
+  let unknown = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    unknown &&= bytes[offset + i] === 0xff;
+  }
+  return { value: !isId && unknown ? -1 : value, length };
+};
+
+/**
+ * Read the EBML elements of a buffer, descending into the master elements.
+ * @private
+ */
+const readElements = (bytes, start, end, unsized = false) => {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(bytes, offset, true);
+    if (unsized && EBML_LEVEL_1_IDS.includes(id.value)) break;
+
+    const size = readVint(bytes, offset + id.length);
+    const element = {
+      id: id.value,
+      dataStart: offset + id.length + size.length,
+    };
+    element.end = size.value === -1 ? end : element.dataStart + size.value;
+
+    if (EBML_MASTER_IDS.includes(element.id)) {
+      const { children, end: childrenEnd } = readElements(
+        bytes,
+        element.dataStart,
+        element.end,
+        size.value === -1 && element.id !== EBML_IDS.Segment,
+      );
+      element.children = children;
+      element.end = Math.min(element.end, childrenEnd);
+    }
+    elements.push(element);
+
+    offset = element.end;
+  }
+  return { children: elements, end: offset };
+};
+
+const findElement = (elements, id) =>
+  elements?.find((element) => element.id === id);
+
+const readUint = (bytes, element) =>
+  element &&
+  bytes
+    .subarray(element.dataStart, element.end)
+    .reduce((value, byte) => value * 256 + byte, 0);
+
+const readFloat = (bytes, element) => {
+  if (!element) return;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset + element.dataStart);
+  return element.end - element.dataStart === 4
+    ? view.getFloat32(0)
+    : view.getFloat64(0);
+};
+
+const readString = (bytes, element) =>
+  element &&
+  String.fromCharCode(
+    ...bytes.subarray(element.dataStart, element.end),
+  ).replace(/\0+$/, "");
+
+/**
+ * Demux the first video and audio tracks of a WebM or Matroska file.
+ * @private
+ * @returns {{ type: "webm" | "matroska", video: Track, audio?: Track }}
+ */
+const demuxWebM = (bytes) => {
+  const { children } = readElements(bytes, 0, bytes.byteLength);
+  const segment = findElement(children, EBML_IDS.Segment);
+  if (!segment) throw new Error("canvas-record: WebM is missing its Segment.");
+
+  const get = (parent, ...ids) =>
+    ids.reduce((element, id) => findElement(element?.children, id), parent);
+
+  const info = findElement(segment.children, EBML_IDS.Info);
+  const timecodeScale =
+    readUint(bytes, get(info, EBML_IDS.TimecodeScale)) ?? 1e6;
+
+  const tracks = {};
+  const trackNumbers = {};
+  for (const entry of get(segment, EBML_IDS.Tracks).children) {
+    if (entry.id !== EBML_IDS.TrackEntry) continue;
+
+    const trackType = readUint(bytes, get(entry, EBML_IDS.TrackType));
+    const track = trackType === 1 ? "video" : trackType === 2 && "audio";
+    if (!track || tracks[track]) continue;
+
+    const codec = readString(bytes, get(entry, EBML_IDS.CodecID));
+    const codecPrivate = get(entry, EBML_IDS.CodecPrivate);
+    const description =
+      codecPrivate && bytes.slice(codecPrivate.dataStart, codecPrivate.end);
+
+    if (track === "video") {
+      const colour = get(entry, EBML_IDS.Video, EBML_IDS.Colour);
+      const colorSpace =
+        colour &&
+        getColorSpace(
+          readUint(bytes, get(colour, EBML_IDS.Primaries)),
+          readUint(bytes, get(colour, EBML_IDS.TransferCharacteristics)),
+          readUint(bytes, get(colour, EBML_IDS.MatrixCoefficients)),
+          readUint(bytes, get(colour, EBML_IDS.Range)) === 2,
+        );
+
+      tracks.video = {
+        options: {
+          codec,
+          width: readUint(
+            bytes,
+            get(entry, EBML_IDS.Video, EBML_IDS.PixelWidth),
+          ),
+          height: readUint(
+            bytes,
+            get(entry, EBML_IDS.Video, EBML_IDS.PixelHeight),
+          ),
+        },
+        decoderConfig: {
+          codec,
+          ...(description && { description }),
+          ...(colorSpace && { colorSpace }),
+        },
+        samples: [],
+      };
+    } else {
+      const audio = get(entry, EBML_IDS.Audio);
+      const numberOfChannels =
+        readUint(bytes, get(audio, EBML_IDS.Channels)) ?? 1;
+      const sampleRate =
+        readFloat(bytes, get(audio, EBML_IDS.SamplingFrequency)) ?? 8000;
+
+      tracks.audio = {
+        options: { codec, numberOfChannels, sampleRate },
+        decoderConfig: {
+          codec,
+          numberOfChannels,
+          sampleRate,
+          ...(description && { description }),
+        },
+        samples: [],
+      };
+    }
+    trackNumbers[readUint(bytes, get(entry, EBML_IDS.TrackNumber))] = track;
+  }
+
+  for (const cluster of segment.children) {
+    if (cluster.id !== EBML_IDS.Cluster) continue;
+
+    const timecode = readUint(bytes, get(cluster, EBML_IDS.Timecode)) ?? 0;
+    for (const element of cluster.children) {
+      const block =
+        element.id === EBML_IDS.BlockGroup
+          ? get(element, EBML_IDS.Block)
+          : element.id === EBML_IDS.SimpleBlock && element;
+      if (!block) continue;
+
+      const trackNumber = readVint(bytes, block.dataStart);
+      const track = trackNumbers[trackNumber.value];
+      if (!track) continue;
+
+      const offset = block.dataStart + trackNumber.length;
+      const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 3);
+      const flags = view.getUint8(2);
+      if (flags & 0x06) {
+        throw new Error("canvas-record: laced WebM blocks aren't supported.");
+      }
+
+      const key =
+        block === element
+          ? !!(flags & 0x80)
+          : !get(element, EBML_IDS.ReferenceBlock);
+
+      tracks[track].samples.push({
+        data: bytes.subarray(offset + 3, block.end),
+        type: key ? "key" : "delta",
+        timestamp: Math.round(
+          ((timecode + view.getInt16(0)) * timecodeScale) / 1e3,
+        ),
+      });
+    }
+  }
+
+  // Blocks don't store durations: use the interval to the next block or the average one
+  for (const { samples } of Object.values(tracks)) {
+    const interval =
+      samples.length > 1
+        ? (samples.at(-1).timestamp - samples[0].timestamp) /
+          (samples.length - 1)
+        : 0;
+    samples.forEach((sample, i) => {
+      sample.duration = Math.round(
+        samples[i + 1] ? samples[i + 1].timestamp - sample.timestamp : interval,
+      );
+    });
+  }
+
+  return {
+    type:
+      readString(
+        bytes,
+        get(findElement(children, EBML_IDS.EBML), EBML_IDS.DocType),
+      ) === "matroska"
+        ? "matroska"
+        : "webm",
+    ...tracks,
+  };
+};
+
+// Concat
+const toBytes = async (file) => {
+  if (typeof file === "function") return toBytes(await file());
+  if (file instanceof Blob) return new Uint8Array(await file.arrayBuffer());
+  if (ArrayBuffer.isView(file)) {
+    return new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+  }
+  return new Uint8Array(file);
+};
+
+const getContainer = (bytes) => {
+  if (getBoxType(bytes, 0) === "ftyp") return "mp4";
+  if (
+    new DataView(bytes.buffer, bytes.byteOffset).getUint32(0) === EBML_IDS.EBML
+  ) {
+    return "webm";
+  }
+};
+
+/**
+ * Join MP4 or WebM chunks into one file without re-encoding: samples are remuxed with mp4-muxer/webm-muxer, each chunk following the previous one.
+ *
+ * Chunks must share a container, codec, size and frame rate and start with a keyframe: record contiguous frame ranges with the same settings using `startFrame`/`endFrame`.
+ * Files are read one at a time: pass functions returning them to also load them lazily. Audio of each chunk is cut at the end of its video.
+ *
+ * @example
+ * ```js
+ * import { concat } from "canvas-record";
+ *
+ * const buffer = await concat([...fileInput.files]);
+ * ```
+ * @param {Array<Blob | ArrayBuffer | ArrayBufferView | (() => Promise<Blob | ArrayBuffer | ArrayBufferView>)>} files Chunks in order.
+ * @param {ConcatOptions} [options={}]
+ * @returns {Promise<ArrayBuffer | undefined>} The concatenated file or undefined when streamed with `onData`.
+ */
+const concat = async (files, { onData, frameRate } = {}) => {
+  if (!files.length) throw new Error("canvas-record: no chunks to concat.");
+
+  let muxer;
+  let first;
+  let offset = 0;
+
+  for (const [index, file] of files.entries()) {
+    const bytes = await toBytes(file);
+    const container = getContainer(bytes);
+    if (!container) {
+      throw new Error(`canvas-record: chunk ${index} isn't a MP4 or WebM.`);
+    }
+
+    const { type, video, audio } =
+      container === "mp4" ? demuxMP4(bytes) : demuxWebM(bytes);
+
+    if (!video?.samples.length) {
+      throw new Error(`canvas-record: chunk ${index} has no video samples.`);
+    }
+    if (video.samples[0].type !== "key") {
+      throw new Error(
+        `canvas-record: chunk ${index} doesn't start with a keyframe.`,
+      );
+    }
+
+    if (!first) {
+      first = { container, type, video, audio };
+
+      const Muxer = container === "mp4" ? MP4Muxer : WebMMuxer;
+      const target = onData
+        ? container === "mp4"
+          ? new MP4Muxer.StreamTarget({ onData })
+          : new WebMMuxer.StreamTarget(onData)
+        : new Muxer.ArrayBufferTarget();
+
+      muxer = new Muxer.Muxer({
+        target,
+        type,
+        video: video.options,
+        audio: audio?.options,
+        firstTimestampBehavior: "offset",
+        fastStart: onData ? false : "in-memory",
+      });
+    } else if (
+      container !== first.container ||
+      video.decoderConfig.codec !== first.video.decoderConfig.codec ||
+      video.options.width !== first.video.options.width ||
+      video.options.height !== first.video.options.height ||
+      !isEqual(
+        video.decoderConfig.description,
+        first.video.decoderConfig.description,
+      ) ||
+      !audio !== !first.audio
+    ) {
+      throw new Error(
+        `canvas-record: chunk ${index} settings don't match the first chunk.`,
+      );
+    }
+
+    // Chunks start at 0 ("offset" first timestamp behavior)
+    const start = video.samples[0].timestamp;
+    // WebM timestamps are in milliseconds: use the exact frame duration when known
+    const end =
+      container === "webm" && frameRate
+        ? start + (video.samples.length * 1e6) / frameRate
+        : video.samples.reduce(
+            (end, { timestamp, duration }) =>
+              Math.max(end, timestamp + duration),
+            0,
+          );
+
+    const meta = (track) =>
+      index === 0 ? { decoderConfig: first[track].decoderConfig } : undefined;
+
+    video.samples.forEach((sample, i) => {
+      const timestamp = offset + sample.timestamp - start;
+      if (container === "mp4") {
+        muxer.addVideoChunkRaw(
+          sample.data,
+          sample.type,
+          timestamp,
+          sample.duration,
+          i === 0 ? meta("video") : undefined,
+          sample.compositionTimeOffset,
+        );
+      } else {
+        muxer.addVideoChunkRaw(
+          sample.data,
+          sample.type,
+          timestamp,
+          i === 0 ? meta("video") : undefined,
+        );
+      }
+    });
+
+    audio?.samples
+      .filter(({ timestamp }) => timestamp - start < end - start)
+      .forEach((sample, i) => {
+        const timestamp = offset + Math.max(0, sample.timestamp - start);
+        const sampleMeta = i === 0 ? meta("audio") : undefined;
+        if (container === "mp4") {
+          muxer.addAudioChunkRaw(
+            sample.data,
+            sample.type,
+            timestamp,
+            sample.duration,
+            sampleMeta,
+          );
+        } else {
+          muxer.addAudioChunkRaw(
+            sample.data,
+            sample.type,
+            timestamp,
+            sampleMeta,
+          );
+        }
+      });
+
+    offset += end - start;
+  }
+
+  muxer.finalize();
+
+  return muxer.target.buffer;
+};
+
+export { concat };
@@ -1,12 +1,148 @@
+import { isDedicatedWorker, downloadBlob } from "../utils.js";
+import { isOPFSSupported, getOPFSDirectory } from "../opfs.js";
+import { UploadWriter } from "../upload.js";
+
 /**
  * @typedef {"mp4" | "webm" | "png" | "jpg" | "gif" | "mkv"} EncoderExtensions
  */
 
 /**
- * @typedef {"in-browser" | "file-system"} EncoderTarget
+ * @typedef {"in-browser" | "file-system" | "opfs" | "stream" | "upload" | "websocket"} EncoderTarget
+ */
+
+/**
+ * @callback onSinkDataCb
+ * @param {Uint8Array} data
+ * @param {number} position Byte offset of the data in the file.
+ */
+
+/**
+ * @typedef {WritableStream | onSinkDataCb} EncoderSink Destination of the "stream" target.
+ */
+
+/**
+ * @typedef {object} EncoderCapabilities
+ * @property {boolean} supported Whether the encoder can run in the current environment.
+ * @property {EncoderExtensions[]} extensions Supported extensions.
+ * @property {EncoderTarget[]} targets Supported targets in the current environment.
+ * @property {Object<string, string[]>} codecs Supported codecs per extension: codec strings for WebCodecs based encoders, library codec names otherwise.
+ * @property {{ width: number, height: number } | null} maxResolution Largest supported resolution, null if unknown or only limited by memory.
+ * @property {boolean} alpha Whether transparency can be preserved.
+ * @property {boolean} realTime Whether encoding is real-time only.
+ * @property {boolean} audio Whether an audio track can be muxed.
+ */
+
+/**
+ * Writer for the "stream" target. Callbacks and FileSystemWritableFileStream receive positioned writes, other WritableStreams only sequential data.
+ * @private
+ */
+class SinkWriter {
+  #callback;
+  #writer;
+  #position = 0;
+  #pending = new Set();
+
+  constructor(sink) {
+    if (typeof sink === "function") {
+      this.#callback = sink;
+    } else if (typeof sink?.getWriter === "function") {
+      this.#writer = sink.getWriter();
+    } else {
+      throw new Error(
+        `canvas-record: "stream" target requires a WritableStream or a callback as sink.`,
+      );
+    }
+
+    this.seekable = !!this.#callback || typeof sink.seek === "function";
+  }
+
+  #write(data, position) {
+    if (this.#callback) return this.#callback(data, position);
+    if (this.seekable) {
+      return this.#writer.write({ type: "write", data, position });
+    }
+    if (position !== this.#position) {
+      throw new Error(
+        "canvas-record: non sequential write to a WritableStream sink.",
+      );
+    }
+    return this.#writer.write(data);
+  }
+
+  async write(data, position = this.#position) {
+    const promise = this.#write(data, position);
+    this.#position = Math.max(this.#position, position + data.byteLength);
+
+    this.#pending.add(promise);
+    try {
+      await promise;
+    } finally {
+      this.#pending.delete(promise);
+    }
+  }
+
+  async close() {
+    await Promise.all(this.#pending);
+    await this.#writer?.close();
+  }
+
+  async abort() {
+    await this.#writer?.abort();
+  }
+}
+
+/**
+ * A FileSystemWritableFileStream-like writer on top of a FileSystemSyncAccessHandle.
+ * Writes of buffers are synchronous so that muxers can call `write` without awaiting.
+ * @private
  */
+class SyncAccessHandleWritable {
+  #handle;
+  #position = 0;
+
+  constructor(handle) {
+    this.#handle = handle;
+    this.#handle.truncate(0);
+  }
+
+  async write(params) {
+    let data = params;
+    let position = this.#position;
+
+    if (params?.type === "seek") {
+      this.#position = params.position;
+      return;
+    }
+    if (params?.type === "truncate") {
+      this.#handle.truncate(params.size);
+      return;
+    }
+    if (params?.type === "write") {
+      data = params.data;
+      position = params.position ?? position;
+    }
+
+    if (data instanceof Blob) data = await data.arrayBuffer();
+
+    this.#position = position + this.#handle.write(data, { at: position });
+  }
+
+  async close() {
+    this.#handle.flush();
+    this.#handle.close();
+  }
+
+  async abort() {
+    this.#handle.close();
+  }
+}
 
 class Encoder {
+  /**
+   * Stable identifier of the encoder, used to instantiate it in a worker (class names don't survive minification).
+   * @type {string}
+   */
+  static id = "Encoder";
   /**
    * The extension the encoder supports
    * @type {Extensions[]}
@@ -17,6 +153,17 @@ class Encoder {
    * @type {EncoderTarget[]}
    */
   static supportedTargets = ["in-browser"];
+  /**
+   * Whether the encoder can mux an audio track via `encodeAudio`.
+   * @type {boolean}
+   */
+  static supportsAudio = false;
+
+  /**
+   * Reference settings used to probe support when querying capabilities.
+   * @type {object}
+   */
+  static probeOptions = { width: 1920, height: 1080, frameRate: 30 };
 
   static defaultOptions = {
     frameMethod: "blob",
@@ -24,6 +171,59 @@ class Encoder {
     target: Encoder.supportedTargets[0],
   };
 
+  /**
+   * Check if the encoder can run in the current environment with the given options.
+   * @param {object} options Recorder options: width, height, frameRate, extension, encoderOptions...
+   * @returns {Promise<boolean>}
+   */
+  static async isSupported() {
+    return true;
+  }
+
+  /**
+   * Check if a target is supported by the encoder and available in the current environment.
+   * @param {EncoderTarget} target
+   * @returns {boolean}
+   */
+  static isTargetSupported(target) {
+    if (!this.supportedTargets.includes(target)) return false;
+
+    if (target === "file-system") {
+      return "showSaveFilePicker" in globalThis;
+    }
+    if (target === "opfs") return isOPFSSupported();
+    if (target === "websocket") return typeof WebSocket === "function";
+    return true;
+  }
+
+  /**
+   * Get the encoder capabilities in the current environment.
+   * @param {object} [options] Reference settings to probe support with. Default to `Encoder.probeOptions`.
+   * @returns {Promise<EncoderCapabilities>}
+   */
+  static async getCapabilities(options) {
+    const supported = await this.isSupported({
+      ...Encoder.probeOptions,
+      ...options,
+      extension: this.supportedExtensions[0],
+    });
+
+    return {
+      supported,
+      extensions: supported ? [...this.supportedExtensions] : [],
+      targets: supported
+        ? this.supportedTargets.filter((target) =>
+            this.isTargetSupported(target),
+          )
+        : [],
+      codecs: {},
+      maxResolution: null,
+      alpha: false,
+      realTime: false,
+      audio: supported && this.supportsAudio,
+    };
+  }
+
   /**
    * Base Encoder class. All Encoders extend it and its method are called by the Recorder.
    * @class Encoder
@@ -33,6 +233,10 @@ class Encoder {
    * @property {EncoderExtensions} extension
    * @property {object} [encoderOptions]
    * @property {object} [muxerOptions]
+   * @property {function} [onChunk] Called by the encoder with its output data when available.
+   * @property {EncoderSink} [sink] Destination of the "stream" target.
+   * @property {import("../upload.js").UploadOptions} [upload] Options of the "upload" target.
+   * @property {import("../websocket.js").WebSocketOptions} [websocket] Options of the "websocket" target.
    */
   constructor(options) {
     Object.assign(this, options);
@@ -48,8 +252,10 @@ class Encoder {
 
   // File System API
   async getDirectory() {
-    if (!("showDirectoryPicker" in window)) return;
-    return await window.showDirectoryPicker();
+    if (this.target === "opfs") return await getOPFSDirectory();
+
+    if (!("showDirectoryPicker" in globalThis)) return;
+    return await globalThis.showDirectoryPicker();
   }
 
   async getDirectoryHandle(directory, name) {
@@ -61,15 +267,60 @@ class Encoder {
       return await this.directoryHandle.getFileHandle(name, { create: true });
     }
 
-    if (!("showSaveFilePicker" in window)) return;
+    if (this.target === "opfs") {
+      return await (
+        await getOPFSDirectory()
+      ).getFileHandle(name, { create: true });
+    }
 
-    return await window.showSaveFilePicker({
+    if (!("showSaveFilePicker" in globalThis)) return;
+
+    return await globalThis.showSaveFilePicker({
       suggestedName: name,
       ...options,
     });
   }
 
+  async removeFileHandle(fileHandle) {
+    if (this.directoryHandle) {
+      await this.directoryHandle.removeEntry(fileHandle.name);
+    } else if (this.target === "opfs") {
+      await (await getOPFSDirectory()).removeEntry(fileHandle.name);
+    } else {
+      // Only available in Chromium
+      await fileHandle.remove?.();
+    }
+  }
+
+  async removeDirectoryHandle() {
+    await this.directory.removeEntry(this.directoryHandle.name, {
+      recursive: true,
+    });
+    this.directoryHandle = null;
+  }
+
+  /**
+   * Create a writer for the "stream" target from the `sink` option or for the "upload" target from the `upload` option.
+   * @returns {SinkWriter | UploadWriter}
+   */
+  createSinkWriter() {
+    if (this.target === "upload") {
+      return new UploadWriter(this.upload, this.filename);
+    }
+    return new SinkWriter(this.sink);
+  }
+
   async getWritableFileStream(fileHandle) {
+    if (this.target === "opfs") {
+      // Sync access handles are only available in dedicated workers
+      if (isDedicatedWorker) {
+        return new SyncAccessHandleWritable(
+          await fileHandle.createSyncAccessHandle(),
+        );
+      }
+      return await fileHandle.createWritable();
+    }
+
     if (
       (await fileHandle.queryPermission({ mode: "readwrite" })) === "granted"
     ) {
@@ -77,6 +328,31 @@ class Encoder {
     }
   }
 
+  /**
+   * Write a file in the directory handle or download it when there is none.
+   * @param {string} name
+   * @param {Blob | BufferSource} data
+   * @param {string} [mimeType=this.mimeType]
+   */
+  async writeFile(name, data, mimeType = this.mimeType) {
+    if (this.directoryHandle) {
+      const fileHandle = await this.getFileHandle(name);
+      const writable = await this.getWritableFileStream(fileHandle);
+      try {
+        await writable.write(data);
+        await writable.close();
+      } catch (error) {
+        // Release the lock on the file handle
+        await writable.abort();
+        throw error;
+      }
+    } else {
+      downloadBlob(name, [data], mimeType);
+      // Ugh. Required otherwise files are skipped
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
   // Override methods
   /**
    * Encode a single frame. The frameNumber is usually used for GOP (Group Of Pictures).
@@ -85,12 +361,40 @@ class Encoder {
    */
   async encode() {}
 
+  /**
+   * Encode a chunk of audio to mux alongside the video. Only called when `supportsAudio` is true.
+   * @param {AudioDataInit} audioData
+   */
+  async encodeAudio() {}
+
+  /**
+   * Suspend the encoding process without finalizing it.
+   */
+  async pause() {}
+
+  /**
+   * Resume the encoding process after a pause.
+   */
+  async resume() {}
+
   /**
    * Stop the encoding process and cleanup the temporary data.
    * @returns {(ArrayBuffer|Uint8Array|Blob[]|undefined)}
    */
   async stop() {}
 
+  /**
+   * Abort the encoding process after a failure: release resources and close half-open streams without producing an output.
+   */
+  async abort() {}
+
+  /**
+   * Cancel the encoding process: abort it and remove any partial output.
+   */
+  async cancel() {
+    await this.abort();
+  }
+
   /**
    * Clean up the encoder
    */
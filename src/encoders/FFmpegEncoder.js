@@ -2,11 +2,30 @@ import { FFmpeg } from "@ffmpeg/ffmpeg";
 import { fetchFile } from "@ffmpeg/util";
 
 import Encoder from "./Encoder.js";
+import { getFrameRateFraction } from "../utils.js";
 
 const getFrameName = (frame) => `${String(frame).padStart(5, "0")}.png`;
 
+const getCodecArgs = (extension, alpha, movCodec) => {
+  if (extension === "webm") {
+    return alpha
+      ? "-c:v libvpx-vp9 -pix_fmt yuva420p"
+      : "-c:v libvpx -pix_fmt yuv420p";
+  }
+  if (extension === "mov") {
+    if (movCodec === "qtrle") {
+      return `-c:v qtrle -pix_fmt ${alpha ? "argb" : "rgb24"}`;
+    }
+    return alpha
+      ? "-c:v prores_ks -profile:v 4444 -pix_fmt yuva444p10le"
+      : "-c:v prores_ks -profile:v 3 -pix_fmt yuv422p10le";
+  }
+  return "-c:v libx264 -pix_fmt yuv420p";
+};
+
 /**
  * @typedef {object} FFmpegEncoderOptions
+ * @property {"prores" | "qtrle"} [movCodec="prores"] Codec for the mov extension: ProRes (4444 with alpha, 422 HQ otherwise) or QuickTime Animation.
  * @property {FFmpegEncoderEncoderOptions} [encoderOptions={}]
  */
 /**
@@ -15,13 +34,44 @@ const getFrameName = (frame) => `${String(frame).padStart(5, "0")}.png`;
  */
 
 class FFmpegEncoder extends Encoder {
-  static supportedExtensions = ["mp4", "webm"];
+  static id = "FFmpegEncoder";
+  static supportedExtensions = ["mp4", "webm", "mov"];
+
+  static defaultOptions = {
+    extension: FFmpegEncoder.supportedExtensions[0],
+    movCodec: "prores",
+  };
+
+  static async isSupported({ extension, alpha }) {
+    if (alpha && extension === "mp4") return false;
+
+    return typeof WebAssembly === "object" && typeof Worker === "function";
+  }
+
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+
+    return {
+      ...capabilities,
+      codecs: capabilities.supported
+        ? {
+            mp4: ["libx264"],
+            webm: ["libvpx", "libvpx-vp9"],
+            mov: ["prores_ks", "qtrle"],
+          }
+        : {},
+      // AVC maximum frame size of 9437184 pixels
+      maxResolution: { width: 4096, height: 2304 },
+      // VP9 WebM and ProRes 4444/QuickTime Animation MOV
+      alpha: capabilities.supported,
+    };
+  }
 
   /**
    * @param {FFmpegEncoderOptions} [options]
    */
   constructor(options) {
-    super(options);
+    super({ ...FFmpegEncoder.defaultOptions, ...options });
   }
 
   async init(options) {
@@ -47,31 +97,39 @@ class FFmpegEncoder extends Encoder {
 
   async stop() {
     const outputFilename = `output.${this.extension}`;
-    const codec = this.extension === "mp4" ? "libx264" : "libvpx";
+    const codecArgs = getCodecArgs(this.extension, this.alpha, this.movCodec);
+
+    const [numerator, denominator] = getFrameRateFraction(this.frameRate);
 
     await this.encoder.exec(
-      `-framerate ${this.frameRate} -pattern_type glob -i *.png -s ${this.width}x${this.height} -pix_fmt yuv420p -c:v ${codec} ${outputFilename}`.split(
+      `-framerate ${numerator}/${denominator} -pattern_type glob -i *.png -s ${this.width}x${this.height} ${codecArgs} ${outputFilename}`.split(
         " ",
       ),
     );
 
     const data = await this.encoder.readFile(outputFilename);
 
+    await this.deleteFiles([outputFilename]);
+
+    return data;
+  }
+
+  async deleteFiles(filenames = []) {
     for (let i = 0; i < this.frameCount; i++) {
+      filenames.push(getFrameName(i));
+    }
+    for (const filename of filenames) {
       try {
-        this.encoder.deleteFile(getFrameName(i));
+        await this.encoder.deleteFile(filename);
       } catch (error) {
         console.error(error);
       }
     }
+    this.frameCount = 0;
+  }
 
-    try {
-      this.encoder.deleteFile(outputFilename);
-    } catch (error) {
-      console.error(error);
-    }
-
-    return data;
+  async abort() {
+    if (this.encoder?.loaded) await this.deleteFiles();
   }
 
   async dispose() {
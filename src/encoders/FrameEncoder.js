@@ -1,17 +1,31 @@
 import Encoder from "./Encoder.js";
 
-import { downloadBlob } from "../utils.js";
-
 /** @class */
 class FrameEncoder extends Encoder {
+  static id = "FrameEncoder";
   static supportedExtensions = ["png", "jpg"];
-  static supportedTargets = ["in-browser", "file-system"];
+  static supportedTargets = ["in-browser", "file-system", "opfs"];
 
   static defaultOptions = {
     extension: FrameEncoder.supportedExtensions[0],
     frameMethod: "blob",
   };
 
+  static async isSupported({ extension, alpha }) {
+    return !(alpha && extension === "jpg");
+  }
+
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+
+    return {
+      ...capabilities,
+      codecs: { png: ["png"], jpg: ["jpeg"] },
+      // png only
+      alpha: true,
+    };
+  }
+
   constructor(options) {
     super({ ...FrameEncoder.defaultOptions, ...options });
   }
@@ -19,7 +33,13 @@ class FrameEncoder extends Encoder {
   async init(options) {
     super.init(options);
 
-    if (this.target === "file-system") {
+    if (this.alpha && this.extension === "jpg") {
+      console.warn(
+        `canvas-record: "jpg" extension doesn't support alpha. Use "png" to preserve transparency.`,
+      );
+    }
+
+    if (this.target === "file-system" || this.target === "opfs") {
       this.directory ||= await this.getDirectory();
       this.directoryHandle = await this.getDirectoryHandle(
         this.directory,
@@ -28,21 +48,8 @@ class FrameEncoder extends Encoder {
     }
   }
 
-  async writeFile(frameFileName, blob) {
-    try {
-      if (this.directoryHandle) {
-        const fileHandle = await this.getFileHandle(frameFileName);
-        const writable = await this.getWritableFileStream(fileHandle);
-        await writable.write(blob);
-        await writable.close();
-      } else {
-        downloadBlob(frameFileName, [blob], this.mimeType);
-        // Ugh. Required otherwise frames are skipped
-        await new Promise((r) => setTimeout(r, 100));
-      }
-    } catch (error) {
-      console.error(error);
-    }
+  async cancel() {
+    if (this.directoryHandle) await this.removeDirectoryHandle();
   }
 
   async encode(frame, frameNumber) {
@@ -50,6 +57,7 @@ class FrameEncoder extends Encoder {
       `${`${frameNumber}`.padStart(5, "0")}.${this.extension}`,
       frame,
     );
+    this.onChunk?.(frame);
   }
 }
 
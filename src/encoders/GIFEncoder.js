@@ -1,6 +1,13 @@
-import { GIFEncoder as GIFEnc, quantize, applyPalette } from "gifenc";
+import * as gifenc from "gifenc";
 import Encoder from "./Encoder.js";
 
+// Node.js only exposes the CommonJS module.exports as default
+const {
+  GIFEncoder: GIFEnc,
+  quantize,
+  applyPalette,
+} = gifenc.GIFEncoder ? gifenc : gifenc.default;
+
 /**
  * @typedef {object} GIFEncoderOptions
  * @property {number} [maxColors=256]
@@ -11,7 +18,7 @@ import Encoder from "./Encoder.js";
 /**
  * @typedef {object} GIFEncoderQuantizeOptions
  * @property {"rgb565" | "rgb444" | "rgba4444"} [format="rgb565"]
- * @property {boolean | number} [oneBitAlpha=false]
+ * @property {boolean | number} [oneBitAlpha] Default to `true` with the `alpha` option, `false` otherwise.
  * @property {boolean} [clearAlpha=true]
  * @property {number} [clearAlphaThreshold=0]
  * @property {number} [clearAlphaColor=0x00]
@@ -30,7 +37,9 @@ import Encoder from "./Encoder.js";
  */
 
 class GIFEncoder extends Encoder {
+  static id = "GIFEncoder";
   static supportedExtensions = ["gif"];
+  static supportedTargets = ["in-browser", "opfs", "stream", "upload"];
 
   static defaultOptions = {
     extension: GIFEncoder.supportedExtensions[0],
@@ -38,13 +47,25 @@ class GIFEncoder extends Encoder {
     maxColors: 256,
     quantizeOptions: {
       format: "rgb565", // rgb444 or rgba4444
-      oneBitAlpha: false,
       clearAlpha: true,
       clearAlphaThreshold: 0,
       clearAlphaColor: 0x00,
     },
   };
 
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+
+    return {
+      ...capabilities,
+      codecs: { gif: ["gif"] },
+      // Logical screen size is stored as 16 bits unsigned
+      maxResolution: { width: 65535, height: 65535 },
+      // 1 bit transparency via quantizeOptions.oneBitAlpha
+      alpha: true,
+    };
+  }
+
   /**
    * @param {GIFEncoderOptions} [options]
    */
@@ -56,6 +77,23 @@ class GIFEncoder extends Encoder {
     super.init(options);
 
     this.encoder = GIFEnc();
+
+    if (this.target === "opfs") {
+      this.fileHandle = await this.getFileHandle(this.filename);
+      this.writableFileStream = await this.getWritableFileStream(
+        this.fileHandle,
+      );
+    } else if (this.target === "stream" || this.target === "upload") {
+      // Same interface for sequential writes
+      this.writableFileStream = this.createSinkWriter();
+    }
+  }
+
+  // Stream the encoded bytes to the file without resetting the encoder header state
+  async #writeBytes() {
+    const bytes = this.encoder.bytes();
+    this.encoder.stream.reset();
+    await this.writableFileStream.write(bytes);
   }
 
   async start() {
@@ -64,26 +102,72 @@ class GIFEncoder extends Encoder {
     this.step();
   }
 
-  encode(frame) {
-    const palette = quantize(frame, this.maxColors, this.quantizeOptions);
+  async encode(frame) {
+    const quantizeOptions = this.alpha
+      ? {
+          ...this.quantizeOptions,
+          format: "rgba4444",
+          oneBitAlpha: this.quantizeOptions.oneBitAlpha ?? true,
+        }
+      : this.quantizeOptions;
+
+    const palette = quantize(frame, this.maxColors, quantizeOptions);
+
+    const index = applyPalette(frame, palette, quantizeOptions.format);
 
-    const index = applyPalette(frame, palette, this.quantizeOptions.format);
+    const transparentIndex = this.alpha
+      ? palette.findIndex((color) => color[3] === 0)
+      : -1;
 
     this.encoder.writeFrame(index, this.width, this.height, {
       palette,
       delay: (1 / this.frameRate) * 1000,
+      ...(transparentIndex !== -1 && {
+        transparent: true,
+        transparentIndex,
+        dispose: 2, // Restore to background so transparent pixels don't show the previous frame
+      }),
       ...this.encoderOptions,
     });
+
+    if (this.writableFileStream) await this.#writeBytes();
   }
 
-  stop() {
+  async stop() {
     this.encoder.finish();
 
+    if (this.writableFileStream) {
+      await this.#writeBytes();
+      await this.writableFileStream.close();
+      this.writableFileStream = null;
+      this.encoder.reset();
+      return;
+    }
+
     const data = this.encoder.bytes();
     this.encoder.reset();
     return data;
   }
 
+  async abort() {
+    this.encoder?.reset();
+
+    // Release the lock on the file handle
+    if (this.writableFileStream) {
+      await this.writableFileStream.abort();
+      this.writableFileStream = null;
+    }
+  }
+
+  async cancel() {
+    await this.abort();
+
+    if (this.fileHandle) {
+      await this.removeFileHandle(this.fileHandle);
+      this.fileHandle = null;
+    }
+  }
+
   dispose() {
     this.encoder = null;
   }
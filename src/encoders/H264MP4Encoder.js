@@ -14,6 +14,7 @@ import { estimateBitRate, nextMultiple } from "../utils.js";
  */
 
 class H264MP4Encoder extends Encoder {
+  static id = "H264MP4Encoder";
   static supportedExtensions = ["mp4"];
 
   static defaultOptions = {
@@ -21,6 +22,22 @@ class H264MP4Encoder extends Encoder {
     frameMethod: "imageData",
   };
 
+  static async isSupported({ alpha, frameRate = 30 }) {
+    // The frame rate is an integer in the encoder muxer
+    return (
+      !alpha && Number.isInteger(frameRate) && typeof WebAssembly === "object"
+    );
+  }
+
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+
+    return {
+      ...capabilities,
+      codecs: capabilities.supported ? { mp4: ["h264"] } : {},
+    };
+  }
+
   /**
    * @param {H264MP4EncoderOptions} [options]
    */
@@ -31,6 +48,12 @@ class H264MP4Encoder extends Encoder {
   async init(options) {
     super.init(options);
 
+    if (!Number.isInteger(this.frameRate)) {
+      throw new Error(
+        `canvas-record: H264MP4Encoder only supports integer frame rates (${this.frameRate}).`,
+      );
+    }
+
     this.encoder = await HME.createH264MP4Encoder();
 
     Object.assign(this.encoder, {
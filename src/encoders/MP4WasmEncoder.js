@@ -16,7 +16,11 @@ import { estimateBitRate } from "../utils.js";
 
 let mp4wasm;
 
+// const codec = "avc1.420034"; // Baseline 4.2
+const codec = "avc1.4d0034"; // Main 5.2
+
 class MP4WasmEncoder extends Encoder {
+  static id = "MP4WasmEncoder";
   static supportedExtensions = ["mp4"];
   static supportedTargets = ["in-browser"];
 
@@ -30,6 +34,40 @@ class MP4WasmEncoder extends Encoder {
     return "bitmap";
   }
 
+  static async isSupported({ width, height, frameRate = 30, alpha }) {
+    // The frame rate is an integer in the mp4-wasm muxer
+    if (
+      alpha ||
+      !Number.isInteger(frameRate) ||
+      typeof WebAssembly !== "object" ||
+      typeof VideoEncoder !== "function"
+    ) {
+      return false;
+    }
+
+    try {
+      return (
+        await VideoEncoder.isConfigSupported({
+          codec,
+          width,
+          height,
+          framerate: frameRate,
+        })
+      ).supported;
+    } catch {
+      return false;
+    }
+  }
+
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+
+    return {
+      ...capabilities,
+      codecs: capabilities.supported ? { mp4: [codec] } : {},
+    };
+  }
+
   /**
    * @param {MP4WasmEncoderOptions} [options]
    */
@@ -40,11 +78,16 @@ class MP4WasmEncoder extends Encoder {
   async init(options) {
     super.init(options);
 
+    if (!Number.isInteger(this.frameRate)) {
+      throw new Error(
+        `canvas-record: MP4WasmEncoder only supports integer frame rates (${this.frameRate}).`,
+      );
+    }
+
     mp4wasm ||= await MP4Wasm(); // { wasmBinary }
 
     this.encoder = mp4wasm.createWebCodecsEncoder({
-      // codec: "avc1.420034", // Baseline 4.2
-      codec: "avc1.4d0034", // Main 5.2
+      codec,
       width: this.width,
       height: this.height,
       fps: this.frameRate,
@@ -54,7 +97,8 @@ class MP4WasmEncoder extends Encoder {
           this.width,
           this.height,
           this.frameRate,
-          this.encoderOptions.bitrateMode,
+          undefined,
+          this.encoderOptions?.bitrateMode,
         ),
         ...this.encoderOptions,
       },
@@ -14,6 +14,7 @@ import { Deferred } from "../utils.js";
  */
 
 class MediaCaptureEncoder extends Encoder {
+  static id = "MediaCaptureEncoder";
   static supportedExtensions = ["mkv", "webm"];
 
   static defaultOptions = {
@@ -22,6 +23,37 @@ class MediaCaptureEncoder extends Encoder {
     flushFrequency: 10,
   };
 
+  static async isSupported({ mimeType, alpha }) {
+    return (
+      !alpha &&
+      typeof MediaRecorder === "function" &&
+      (!mimeType || MediaRecorder.isTypeSupported(mimeType))
+    );
+  }
+
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+    if (!capabilities.supported) return capabilities;
+
+    const codecs = {
+      mkv: ["avc1", "vp8", "vp9", "av1"].filter((codec) =>
+        MediaRecorder.isTypeSupported(`video/x-matroska;codecs=${codec}`),
+      ),
+      webm: ["vp8", "vp9", "av1", "avc1"].filter((codec) =>
+        MediaRecorder.isTypeSupported(`video/webm;codecs=${codec}`),
+      ),
+    };
+
+    return {
+      ...capabilities,
+      extensions: capabilities.extensions.filter(
+        (extension) => codecs[extension].length,
+      ),
+      codecs,
+      realTime: true,
+    };
+  }
+
   /**
    * @param {MediaCaptureEncoderOptions} [options]
    */
@@ -43,13 +75,23 @@ class MediaCaptureEncoder extends Encoder {
       ...this.encoderOptions,
     });
     this.recorder.ondataavailable = (event) => {
-      event.data.size && this.chunks.push(event.data);
+      if (event.data.size) {
+        this.chunks.push(event.data);
+        this.onChunk?.(event.data);
+      }
 
       if (this.q) this.q.resolve();
     };
+    this.recorder.onerror = ({ error }) => {
+      this.error ||= error;
+
+      if (this.q) this.q.reject(error);
+    };
   }
 
   async encode(frame, number) {
+    if (this.error) throw this.error;
+
     if (this.recorder.state !== "recording") {
       this.chunks = [];
       this.recorder.start();
@@ -62,17 +104,37 @@ class MediaCaptureEncoder extends Encoder {
     }
   }
 
+  async pause() {
+    if (this.recorder.state === "recording") this.recorder.pause();
+  }
+
+  async resume() {
+    if (this.recorder.state === "paused") this.recorder.resume();
+  }
+
   async stop() {
+    if (this.error) throw this.error;
+
     this.q = new Deferred();
 
     this.recorder.stop();
-    await this.q.promise;
-
-    delete this.q;
+    try {
+      await this.q.promise;
+    } finally {
+      delete this.q;
+    }
 
     return this.chunks;
   }
 
+  async abort() {
+    if (this.recorder && this.recorder.state !== "inactive") {
+      this.recorder.ondataavailable = null;
+      this.recorder.stop();
+    }
+    this.chunks = [];
+  }
+
   async dispose() {
     this.recorder = null;
     this.stream = null;
@@ -1,29 +1,126 @@
 import * as MP4Muxer from "mp4-muxer";
 import * as WebMMuxer from "webm-muxer";
-import { AVC, VP } from "media-codecs";
+import { AV, AVC, VP } from "media-codecs";
 
 import Encoder from "./Encoder.js";
-import { estimateBitRate } from "../utils.js";
+import { estimateBitRate, getFrameRateFraction } from "../utils.js";
+import { Segmenter, getHLSPlaylist, getDASHManifest } from "../segments.js";
+import { WebSocketWriter } from "../websocket.js";
 
 /**
  * @typedef {object} WebCodecsEncoderOptions
  * @property {number} [groupOfPictures=20]
  * @property {number} [flushFrequency=10]
  * @property {WebCodecsEncoderEncoderOptions} [encoderOptions={}]
+ * @property {WebCodecsEncoderAudioEncoderOptions} [audioEncoderOptions={}]
  */
 /**
  * @typedef {VideoEncoderConfig} WebCodecsEncoderEncoderOptions
  * @see [VideoEncoder.configure]{@link https://developer.mozilla.org/en-US/docs/Web/API/VideoEncoder/configure#config}
  */
+/**
+ * @typedef {AudioEncoderConfig} WebCodecsEncoderAudioEncoderOptions
+ * @see [AudioEncoder.configure]{@link https://developer.mozilla.org/en-US/docs/Web/API/AudioEncoder/configure#config}
+ */
 /**
  * @typedef {MuxerOptions} WebCodecsMuxerOptions
  * @see [Mp4.MuxerOptions]{@link https://github.com/Vanilagy/mp4-muxer/#usage}
  * @see [WebM.MuxerOptions]{@link https://github.com/Vanilagy/webm-muxer/#usage}
  */
 
+/**
+ * Common resolutions probed from largest to smallest.
+ * @private
+ */
+const RESOLUTIONS = [
+  [7680, 4320],
+  [4096, 2160],
+  [3840, 2160],
+  [2560, 1440],
+  [1920, 1080],
+  [1280, 720],
+];
+
+/**
+ * Get the muxer codec for a WebCodecs codec string, undefined if the container can't hold it.
+ * @param {string} extension
+ * @param {string} codec
+ * @returns {string | undefined}
+ */
+const getMuxerCodec = (extension, codec) => {
+  const CCCC = codec.split(".")[0];
+  // https://www.w3.org/TR/webcodecs-hevc-codec-registration/#fully-qualified-codec-strings
+  const isHEVC = CCCC.startsWith("hev") || CCCC.startsWith("hvc");
+  const isAVC = CCCC.startsWith("avc");
+
+  if (extension === "mp4") {
+    // Supported: "avc" | "hevc" | "vp9" | "av1"
+    if (isAVC) return "avc";
+    if (isHEVC) return "hevc";
+    if (CCCC === "vp09") return "vp9";
+    if (CCCC === "av01") return "av1";
+    return;
+  }
+
+  // Supported: "V_VP8" | "V_VP9" | "V_AV1" and Matroska only "V_MPEG4/ISO/AVC" | "V_MPEGH/ISO/HEVC"
+  if (CCCC === "av01") return "V_AV1";
+  const vp = VP.VP_CODECS.find((codec) => codec.cccc === CCCC);
+  if (vp) return `V_${vp.name}`;
+  if (extension === "mkv") {
+    if (isAVC) return "V_MPEG4/ISO/AVC";
+    if (isHEVC) return "V_MPEGH/ISO/HEVC";
+  }
+};
+
+/**
+ * Get the muxer audio codec for a WebCodecs audio codec string, undefined if the container can't hold it.
+ * @param {string} extension
+ * @param {string} codec
+ * @returns {string | undefined}
+ */
+const getMuxerAudioCodec = (extension, codec) => {
+  const isAAC = codec.startsWith("mp4a.");
+
+  // Supported: "aac" | "opus" and "A_OPUS" | "A_AAC"
+  if (extension === "mp4") {
+    if (isAAC) return "aac";
+    if (codec === "opus") return "opus";
+    return;
+  }
+  if (codec === "opus") return "A_OPUS";
+  if (isAAC && extension === "mkv") return "A_AAC";
+};
+
 class WebCodecsEncoder extends Encoder {
+  static id = "WebCodecsEncoder";
   static supportedExtensions = ["mp4", "webm", "mkv"];
-  static supportedTargets = ["in-browser", "file-system"];
+  static supportedTargets = [
+    "in-browser",
+    "file-system",
+    "opfs",
+    "stream",
+    "upload",
+    "websocket",
+  ];
+  static supportsAudio = true;
+
+  /**
+   * Common codec strings probed for capabilities and encoder negotiation.
+   * @type {object}
+   */
+  static codecs = {
+    avc: AVC.getCodec({ profile: "High", level: "5.2" }), // avc1.640034
+    hevc: "hvc1.1.6.L156.B0", // Main 5.2
+    vp8: VP.getCodec({ name: "VP8", profile: 0, level: "1", bitDepth: 8 }), // vp08.00.10.08
+    vp9: VP.getCodec({ name: "VP9", profile: 0, level: "1", bitDepth: 8 }), // vp09.00.10.08
+    av1: AV.getCodec({
+      name: "AV1",
+      profile: "Main",
+      level: "5.1",
+      tier: "Main",
+      bitDepth: 8,
+    }), // av01.0.13M.08
+  };
 
   static defaultOptions = {
     extension: WebCodecsEncoder.supportedExtensions[0],
@@ -31,10 +128,161 @@ class WebCodecsEncoder extends Encoder {
     flushFrequency: 10,
   };
 
+  /**
+   * Default options for HLS/DASH segmented output.
+   * @type {import("../segments.js").SegmentsOptions}
+   */
+  static segmentsOptions = { duration: 4, dash: false };
+
+  /**
+   * Get the muxer codec for a WebCodecs codec string and an extension.
+   * @type {function(string, string): (string | undefined)}
+   */
+  static getMuxerCodec = getMuxerCodec;
+
+  /**
+   * Get the muxer audio codec for a WebCodecs audio codec string and an extension.
+   * @type {function(string, string): (string | undefined)}
+   */
+  static getMuxerAudioCodec = getMuxerAudioCodec;
+
   get frameMethod() {
     return "videoFrame";
   }
 
+  /**
+   * Get the VideoEncoder codec string: `encoderOptions.codec` or a default based on the extension.
+   * @param {object} options
+   * @returns {string}
+   */
+  static getCodec({ extension, encoderOptions }) {
+    return (
+      encoderOptions?.codec ||
+      (extension === "mp4"
+        ? WebCodecsEncoder.codecs.avc
+        : WebCodecsEncoder.codecs.vp9)
+    );
+  }
+
+  /**
+   * Get the VideoEncoder config from the encoder options.
+   * @param {object} options
+   * @returns {VideoEncoderConfig}
+   */
+  static getConfig({
+    width,
+    height,
+    frameRate,
+    extension,
+    alpha,
+    encoderOptions,
+  }) {
+    return {
+      width,
+      height,
+      framerate: frameRate,
+      ...(alpha && { alpha: "keep" }),
+      bitrate: estimateBitRate(
+        width,
+        height,
+        frameRate,
+        undefined,
+        encoderOptions?.bitrateMode,
+      ),
+      // bitrate: 1e6,
+      // alpha: "discard", // "keep"
+      // bitrateMode: "variable", // "constant"
+      // latencyMode: "quality", // "realtime" (faster encoding)
+      // hardwareAcceleration: "no-preference", // "prefer-hardware" "prefer-software"
+      ...encoderOptions,
+      codec: WebCodecsEncoder.getCodec({ extension, encoderOptions }),
+    };
+  }
+
+  static async isSupported(options) {
+    if (typeof VideoEncoder !== "function") return false;
+    if (!WebCodecsEncoder.supportedExtensions.includes(options.extension)) {
+      return false;
+    }
+
+    // mp4-muxer doesn't support alpha
+    if (options.alpha && options.extension === "mp4") return false;
+
+    const config = WebCodecsEncoder.getConfig(options);
+    if (!getMuxerCodec(options.extension, config.codec)) return false;
+
+    try {
+      return (await VideoEncoder.isConfigSupported(config)).supported;
+    } catch {
+      return false;
+    }
+  }
+
+  static async getCapabilities(options) {
+    const capabilities = await super.getCapabilities(options);
+    if (!capabilities.supported) return capabilities;
+
+    const probeOptions = { ...Encoder.probeOptions, ...options };
+
+    const codecs = {};
+    for (const extension of WebCodecsEncoder.supportedExtensions) {
+      codecs[extension] = [];
+      for (const codec of Object.values(WebCodecsEncoder.codecs)) {
+        if (
+          await WebCodecsEncoder.isSupported({
+            ...probeOptions,
+            extension,
+            encoderOptions: { codec },
+          })
+        ) {
+          codecs[extension].push(codec);
+        }
+      }
+    }
+
+    // Largest common resolution supported by any codec
+    let maxResolution = null;
+    const supportedCodecs = [...new Set(Object.values(codecs).flat())];
+    for (const [width, height] of RESOLUTIONS) {
+      for (const codec of supportedCodecs) {
+        const { supported } = await VideoEncoder.isConfigSupported(
+          WebCodecsEncoder.getConfig({
+            ...probeOptions,
+            width,
+            height,
+            encoderOptions: { codec },
+          }),
+        ).catch(() => ({ supported: false }));
+        if (supported) {
+          maxResolution = { width, height };
+          break;
+        }
+      }
+      if (maxResolution) break;
+    }
+
+    let alpha = false;
+    for (const codec of codecs.webm) {
+      alpha = await WebCodecsEncoder.isSupported({
+        ...probeOptions,
+        extension: "webm",
+        alpha: true,
+        encoderOptions: { codec },
+      });
+      if (alpha) break;
+    }
+
+    return {
+      ...capabilities,
+      extensions: capabilities.extensions.filter(
+        (extension) => codecs[extension].length,
+      ),
+      codecs,
+      maxResolution,
+      alpha,
+    };
+  }
+
   /**
    * @param {WebCodecsEncoderOptions} [options]
    */
@@ -45,8 +293,39 @@ class WebCodecsEncoder extends Encoder {
   async init(options) {
     super.init(options);
 
-    if (this.target === "file-system") {
-      const fileHandle = await this.getFileHandle(this.filename, {
+    this.error = null;
+    this.audioEncoder = null;
+    this.sinkWriter = null;
+    this.socketWriter = null;
+    this.directoryHandle = null;
+
+    const config = WebCodecsEncoder.getConfig(this);
+    if (!(await WebCodecsEncoder.isSupported(this))) {
+      throw new Error(
+        `canvas-record: Unsupported VideoEncoder config\n ${JSON.stringify(
+          config,
+        )}`,
+      );
+    }
+    this.codec = config.codec;
+
+    if (this.audioConfig) {
+      // AAC-LC or Opus by default
+      this.audioCodec =
+        this.audioEncoderOptions?.codec ||
+        (this.extension === "mp4" ? "mp4a.40.2" : "opus");
+
+      if (!getMuxerAudioCodec(this.extension, this.audioCodec)) {
+        throw new Error(
+          `canvas-record: Unsupported audio codec "${this.audioCodec}" for extension "${this.extension}".`,
+        );
+      }
+    }
+
+    if (this.segments) {
+      await this.#initSegments();
+    } else if (this.target === "file-system" || this.target === "opfs") {
+      this.fileHandle = await this.getFileHandle(this.filename, {
         types: [
           {
             description: "Video File",
@@ -55,101 +334,357 @@ class WebCodecsEncoder extends Encoder {
         ],
       });
 
-      this.writableFileStream = await this.getWritableFileStream(fileHandle);
+      this.writableFileStream = await this.getWritableFileStream(
+        this.fileHandle,
+      );
+    } else if (this.target === "stream" || this.target === "upload") {
+      this.sinkWriter = this.createSinkWriter();
+    } else if (this.target === "websocket") {
+      // Chunks are sent unmuxed
+      this.socketWriter = new WebSocketWriter(this.websocket, this.filename);
+      await this.socketWriter.open();
     }
 
-    const codec =
-      this.encoderOptions?.codec || this.extension === "mp4"
-        ? AVC.getCodec({ profile: "High", level: "5.2" }) // avc1.640034
-        : VP.getCodec({ name: "VP9", profile: 0, level: "1", bitDepth: 8 }); // vp09.00.10.08
+    this.muxer = this.socketWriter ? null : this.#createMuxer();
+
+    this.encoder = new VideoEncoder({
+      output: (chunk, meta) => {
+        this.#addChunk(chunk, meta, "video");
+        this.onChunk?.(chunk, meta, "video");
+      },
+      error: (error) => (this.error ||= error),
+    });
+    this.encoder.configure(config);
 
-    const CCCC = codec.split(".")[0];
+    if (this.audioConfig) {
+      this.audioEncoder = new AudioEncoder({
+        output: (chunk, meta) => {
+          this.#addChunk(chunk, meta, "audio");
+          this.onChunk?.(chunk, meta, "audio");
+        },
+        error: (error) => (this.error ||= error),
+      });
+
+      const audioConfig = {
+        bitrate: 128_000,
+        ...this.audioConfig,
+        ...this.audioEncoderOptions,
+        codec: this.audioCodec,
+      };
+
+      if (!(await AudioEncoder.isConfigSupported(audioConfig)).supported) {
+        throw new Error(
+          `canvas-record: Unsupported AudioEncoder config\n ${JSON.stringify(
+            audioConfig,
+          )}`,
+        );
+      }
+      this.audioEncoder.configure(audioConfig);
+    }
+  }
 
+  #createMuxer() {
     const muxer = this.extension === "mp4" ? MP4Muxer : WebMMuxer;
 
-    this.muxer = new muxer.Muxer({
-      target: this.writableFileStream
-        ? new muxer.FileSystemWritableFileStreamTarget(this.writableFileStream)
-        : new muxer.ArrayBufferTarget(),
+    let fastStart = "in-memory";
+    if (this.#fragmented) {
+      fastStart = "fragmented";
+    } else if (this.writableFileStream || this.sinkWriter?.seekable) {
+      fastStart = false;
+    }
+
+    return new muxer.Muxer({
+      target: this.#getMuxerTarget(muxer),
       type: this.extension === "mkv" ? "matroska" : "webm",
       video: {
-        codec:
-          this.extension === "mp4"
-            ? // Supported: "avc" | "hevc"
-              CCCC.startsWith("hev") || CCCC.startsWith("hvc") // https://www.w3.org/TR/webcodecs-hevc-codec-registration/#fully-qualified-codec-strings
-              ? "hevc"
-              : "avc"
-            : // Supported: "V_VP8" | "V_VP9" | "V_AV1"
-              `V_${
-                CCCC.startsWith("av01")
-                  ? "AV1"
-                  : VP.VP_CODECS.find((codec) => codec.cccc === CCCC).name
-              }`,
+        codec: getMuxerCodec(this.extension, this.codec),
         width: this.width,
         height: this.height,
+        alpha: this.alpha,
+        // mp4-muxer only: a timescale multiple of the frame rate for exact timestamps
+        ...(this.extension === "mp4" && {
+          frameRate: getFrameRateFraction(this.frameRate)[0],
+        }),
+      },
+      audio: this.audioConfig && {
+        codec: getMuxerAudioCodec(this.extension, this.audioCodec),
+        ...this.audioConfig,
       },
-      firstTimestampBehavior: "offset", // "strict" | "offset" | "permissive"
-      fastStart: this.writableFileStream ? false : "in-memory",
+      firstTimestampBehavior: "offset", // "strict" | "offset" | "cross-track-offset"
+      fastStart,
+      // mp4-muxer only: start a fragment on every keyframe (one per GOP) or one per segment
+      minFragmentDuration: this.segments ? this.#segmentsOptions.duration : 0,
+      // webm-muxer only: append-only output for sequential sinks
+      streaming: !!this.sinkWriter && !this.sinkWriter.seekable,
       ...this.muxerOptions,
     });
+  }
 
-    this.encoder = new VideoEncoder({
-      output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
-      error: (e) => console.error(e),
+  #addChunk(chunk, meta, track) {
+    if (!this.socketWriter) {
+      if (track === "video") {
+        this.muxer.addVideoChunk(chunk, meta);
+      } else {
+        this.muxer.addAudioChunk(chunk, meta);
+      }
+      return;
+    }
+
+    try {
+      if (meta?.decoderConfig) {
+        const { description, ...decoderConfig } = meta.decoderConfig;
+        this.socketWriter.sendConfig(
+          {
+            track,
+            filename: this.filename,
+            mimeType: this.mimeType,
+            ...decoderConfig,
+            ...(track === "video" && {
+              width: this.width,
+              height: this.height,
+              frameRate: this.frameRate,
+              audio: !!this.audioConfig,
+            }),
+          },
+          description,
+        );
+      }
+      this.socketWriter.sendChunk(chunk, track);
+    } catch (error) {
+      this.error ||= error;
+    }
+  }
+
+  get #fragmented() {
+    return (this.fragmented || !!this.segments) && this.extension === "mp4";
+  }
+
+  #segmenter;
+  #segmentsOptions;
+  #segmentWrites;
+
+  async #initSegments() {
+    if (this.extension !== "mp4") {
+      throw new Error(
+        `canvas-record: "segments" option requires the "mp4" extension.`,
+      );
+    }
+    if (!["in-browser", "file-system", "opfs"].includes(this.target)) {
+      throw new Error(
+        `canvas-record: "segments" option requires the "in-browser", "file-system" or "opfs" target.`,
+      );
+    }
+
+    this.#segmentsOptions = {
+      ...WebCodecsEncoder.segmentsOptions,
+      ...this.segments,
+    };
+    this.#segmentWrites = Promise.resolve();
+
+    // Segments and playlists are written to a directory named after the file
+    if (this.target !== "in-browser") {
+      this.directory ||= await this.getDirectory();
+      this.directoryHandle = await this.getDirectoryHandle(
+        this.directory,
+        this.filename.replace(/\.mp4$/, ""),
+      );
+    }
+
+    this.#segmenter = new Segmenter({
+      onInit: (data) => this.#writeSegmentFile("init.mp4", data),
+      onSegment: (data, { name }) => {
+        this.#writeSegmentFile(name, data);
+        // Update the EVENT playlist so that it can be played while recording
+        if (this.directoryHandle) this.#writePlaylists(false);
+      },
     });
+  }
 
-    const config = {
-      width: this.width,
-      height: this.height,
-      framerate: this.frameRate,
-      bitrate: estimateBitRate(
-        this.width,
-        this.height,
-        this.frameRate,
-        this.encoderOptions.bitrateMode,
-      ),
-      // bitrate: 1e6,
-      // alpha: "discard", // "keep"
-      // bitrateMode: "variable", // "constant"
-      // latencyMode: "quality", // "realtime" (faster encoding)
-      // hardwareAcceleration: "no-preference", // "prefer-hardware" "prefer-software"
-      ...this.encoderOptions,
-      codec,
+  #writeSegmentFile(name, data, mimeType = this.mimeType) {
+    this.#segmentWrites = this.#segmentWrites.then(() =>
+      this.writeFile(name, data, mimeType),
+    );
+    this.#segmentWrites.catch((error) => (this.error ||= error));
+  }
+
+  #writePlaylists(ended) {
+    const { segments, timescale } = this.#segmenter;
+    const encoder = new TextEncoder();
+
+    this.#writeSegmentFile(
+      "index.m3u8",
+      encoder.encode(getHLSPlaylist({ segments, timescale, ended })),
+      "application/vnd.apple.mpegurl",
+    );
+
+    if (ended && this.#segmentsOptions.dash) {
+      const [numerator, denominator] = getFrameRateFraction(this.frameRate);
+      const manifest = getDASHManifest({
+        segments,
+        timescale,
+        codecs: [this.codec, ...(this.audioConfig ? [this.audioCodec] : [])],
+        width: this.width,
+        height: this.height,
+        // DASH frame rates are integers or fractions
+        frameRate:
+          denominator === 1 ? numerator : `${numerator}/${denominator}`,
+      });
+      this.#writeSegmentFile(
+        "manifest.mpd",
+        encoder.encode(manifest),
+        "application/dash+xml",
+      );
+    }
+  }
+
+  #getMuxerTarget(muxer) {
+    // mp4-muxer takes an options object, webm-muxer callbacks
+    const createStreamTarget = (write) => {
+      const onData = (data, position) =>
+        write(data, position).catch((error) => (this.error ||= error));
+      return muxer === MP4Muxer
+        ? new muxer.StreamTarget({ onData })
+        : new muxer.StreamTarget(onData);
     };
 
-    this.encoder.configure(config);
-    if (!(await VideoEncoder.isConfigSupported(config)).supported) {
-      throw new Error(
-        `canvas-record: Unsupported VideoEncoder config\n ${JSON.stringify(
-          config,
-        )}`,
+    if (this.sinkWriter) {
+      return createStreamTarget((data, position) =>
+        this.sinkWriter.write(data, position),
+      );
+    }
+    // Fragments are written sequentially
+    if (this.segments) {
+      return createStreamTarget(async (data, position) =>
+        this.#segmenter.push(data, position),
+      );
+    }
+    // Write each fragment as soon as it is muxed so that partial files remain playable
+    if (this.writableFileStream && this.#fragmented) {
+      return createStreamTarget((data, position) =>
+        this.writableFileStream.write({ type: "write", data, position }),
+      );
+    }
+    if (this.writableFileStream) {
+      return new muxer.FileSystemWritableFileStreamTarget(
+        this.writableFileStream,
       );
     }
+    return new muxer.ArrayBufferTarget();
+  }
+
+  #throwIfErrored() {
+    if (this.error) throw this.error;
   }
 
   async encode(frame, number) {
-    const keyFrame = number % this.groupOfPictures === 0;
+    if (this.error) {
+      frame.close();
+      throw this.error;
+    }
 
-    this.encoder.encode(frame, { keyFrame });
-    frame.close();
+    // Start with a key frame when recording a frame range
+    const keyFrame =
+      (number - (this.startFrame ?? 0)) % this.groupOfPictures === 0;
+
+    // A closed encoder throws synchronously: report its error and still release the frame
+    try {
+      this.encoder.encode(frame, { keyFrame });
+    } catch (error) {
+      throw this.error || error;
+    } finally {
+      frame.close();
+    }
     if (this.flushFrequency && (number + 1) % this.flushFrequency === 0) {
       await this.encoder.flush();
+      this.#throwIfErrored();
     }
+    await this.socketWriter?.drain();
+    if (this.target === "upload") await this.sinkWriter.drain();
+  }
+
+  async encodeAudio(audioDataInit) {
+    this.#throwIfErrored();
+
+    const audioData = new AudioData(audioDataInit);
+    try {
+      this.audioEncoder.encode(audioData);
+    } catch (error) {
+      throw this.error || error;
+    } finally {
+      audioData.close();
+    }
+  }
+
+  async pause() {
+    // Mux pending frames so the muxer is up to date while paused
+    await this.encoder.flush();
+    await this.audioEncoder?.flush();
   }
 
   async stop() {
     await this.encoder.flush();
+    await this.audioEncoder?.flush();
+    this.#throwIfErrored();
+
+    if (this.socketWriter) {
+      await this.socketWriter.close();
+      return;
+    }
+
     this.muxer.finalize();
 
+    if (this.segments) {
+      this.#writePlaylists(true);
+      await this.#segmentWrites;
+      this.#throwIfErrored();
+      return;
+    }
+
     const buffer = this.muxer.target?.buffer;
 
     if (this.writableFileStream) await this.writableFileStream.close();
+    if (this.sinkWriter) {
+      await this.sinkWriter.close();
+      this.#throwIfErrored();
+    }
 
     return buffer;
   }
 
+  async abort() {
+    for (const encoder of [this.encoder, this.audioEncoder]) {
+      if (encoder && encoder.state !== "closed") encoder.close();
+    }
+
+    // Release the lock on the file handle
+    if (this.writableFileStream) {
+      await this.writableFileStream.abort();
+      this.writableFileStream = null;
+    }
+    if (this.sinkWriter) {
+      await this.sinkWriter.abort();
+      this.sinkWriter = null;
+    }
+    if (this.socketWriter) {
+      await this.socketWriter.abort();
+      this.socketWriter = null;
+    }
+    await this.#segmentWrites?.catch(() => {});
+  }
+
+  async cancel() {
+    await this.abort();
+
+    if (this.fileHandle) {
+      await this.removeFileHandle(this.fileHandle);
+      this.fileHandle = null;
+    }
+    if (this.directoryHandle) await this.removeDirectoryHandle();
+  }
+
   async dispose() {
     this.encoder = null;
+    this.audioEncoder = null;
   }
 }
 
@@ -0,0 +1,281 @@
+import Encoder from "./Encoder.js";
+import { Deferred, listenToWorkerDownloads } from "../utils.js";
+
+/**
+ * @typedef {object} WorkerEncoderOptions
+ * @property {number} [maxQueueSize=4] Maximum number of frames sent to the worker and not yet encoded. `await canvasRecorder.step()` only waits for the worker when the queue is full.
+ * @property {Worker} [worker] A worker running `src/encoders/encoder.worker.js`. Default to a module worker created from it.
+ */
+
+/**
+ * Frame methods that can't be transferred: "imageData" is read back in the worker from a transferred bitmap.
+ * @private
+ */
+const TRANSFER_FRAME_METHODS = { imageData: "bitmap" };
+
+const getTransferables = (value) => {
+  if (
+    value instanceof ArrayBuffer ||
+    (typeof ImageBitmap !== "undefined" && value instanceof ImageBitmap) ||
+    (typeof VideoFrame !== "undefined" && value instanceof VideoFrame)
+  ) {
+    return [value];
+  }
+  if (ArrayBuffer.isView(value)) return [value.buffer];
+  if (ArrayBuffer.isView(value?.data)) return [value.data.buffer];
+  return [];
+};
+
+/**
+ * Run an encoder in a worker. Frames are transferred and queued so that encoding doesn't block the main thread.
+ * Use `WorkerEncoder.wrap(CurrentEncoder)` to create a worker version of an encoder: the created class exposes the statics of the wrapped encoder.
+ *
+ * @example
+ * ```js
+ * const WorkerGIFEncoder = WorkerEncoder.wrap(GIFEncoder);
+ * const canvasRecorder = new Recorder(context, {
+ *   extension: "gif",
+ *   encoder: new WorkerGIFEncoder({ maxQueueSize: 8 }),
+ * });
+ * ```
+ */
+class WorkerEncoder extends Encoder {
+  static supportedTargets = ["in-browser"];
+
+  static defaultOptions = {
+    maxQueueSize: 4,
+  };
+
+  /**
+   * The wrapped encoder class.
+   * @type {typeof Encoder}
+   */
+  static Encoder = null;
+
+  /**
+   * Create a WorkerEncoder class for an encoder. "file-system" target isn't supported: downloads are posted back to the main thread and "opfs" uses sync access handles.
+   * @param {typeof Encoder} CurrentEncoder
+   * @returns {typeof WorkerEncoder}
+   */
+  static wrap(CurrentEncoder) {
+    // Subclasses inheriting an id would be instantiated as their parent in the worker
+    if (!Object.hasOwn(CurrentEncoder, "id")) {
+      throw new Error(
+        `canvas-record: encoder "${CurrentEncoder.name}" has no static id to be loaded in a worker.`,
+      );
+    }
+
+    const WrappedEncoder = class extends WorkerEncoder {
+      static id = `Worker${CurrentEncoder.id}`;
+      static Encoder = CurrentEncoder;
+      static supportedExtensions = CurrentEncoder.supportedExtensions;
+      // File pickers are not available in workers and sinks can't be cloned
+      static supportedTargets = CurrentEncoder.supportedTargets.filter(
+        (target) => target !== "file-system" && target !== "stream",
+      );
+      static supportsAudio = CurrentEncoder.supportsAudio;
+
+      static async isSupported(options) {
+        return (
+          typeof Worker === "function" &&
+          (await CurrentEncoder.isSupported(options))
+        );
+      }
+
+      static async getCapabilities(options) {
+        const capabilities = await CurrentEncoder.getCapabilities(options);
+        const supported =
+          capabilities.supported && typeof Worker === "function";
+
+        return {
+          ...capabilities,
+          supported,
+          targets: supported
+            ? capabilities.targets.filter((target) =>
+                WrappedEncoder.supportedTargets.includes(target),
+              )
+            : [],
+        };
+      }
+    };
+    Object.defineProperty(WrappedEncoder, "name", {
+      value: WrappedEncoder.id,
+    });
+
+    return WrappedEncoder;
+  }
+
+  #options;
+  #frameMethod;
+  #id = 0;
+  #requests = new Map();
+  #queue = new Set();
+  #unlisten;
+  #workerError;
+
+  get frameMethod() {
+    return TRANSFER_FRAME_METHODS[this.#frameMethod] || this.#frameMethod;
+  }
+
+  /**
+   * @param {WorkerEncoderOptions} [options]
+   */
+  constructor(options = {}) {
+    super({ ...WorkerEncoder.defaultOptions, ...options });
+
+    if (!this.constructor.Encoder) {
+      throw new Error(
+        "canvas-record: use WorkerEncoder.wrap(CurrentEncoder) to create a worker encoder.",
+      );
+    }
+
+    // Options of the wrapped encoder
+    const { maxQueueSize, worker, ...wrappedOptions } = options;
+    this.#options = wrappedOptions;
+  }
+
+  #onMessage = ({ data }) => {
+    if (data?.type === "chunk") {
+      this.onChunk?.(data.chunk, data.metadata, data.track);
+      return;
+    }
+
+    const request = this.#requests.get(data?.id);
+    if (!request) return;
+
+    this.#requests.delete(data.id);
+    if (data.error) {
+      request.reject(data.error);
+    } else {
+      request.resolve(data.result);
+    }
+  };
+
+  #onError = (event) => {
+    this.#workerError = new Error(
+      `canvas-record: worker error. ${event.message || ""}`.trim(),
+    );
+    this.error ||= this.#workerError;
+    for (const request of this.#requests.values()) {
+      request.reject(this.#workerError);
+    }
+    this.#requests.clear();
+  };
+
+  #call(method, args = [], transfer = []) {
+    // The worker can't answer anymore
+    if (this.#workerError) return Promise.reject(this.#workerError);
+
+    const request = new Deferred();
+    const id = this.#id++;
+    this.#requests.set(id, request);
+    this.worker.postMessage({ id, method, args }, transfer);
+    return request.promise;
+  }
+
+  #enqueue(method, args, transfer) {
+    const promise = this.#call(method, args, transfer).catch(
+      (error) => (this.error ||= error),
+    );
+    this.#queue.add(promise);
+    promise.finally(() => this.#queue.delete(promise));
+  }
+
+  async #flush() {
+    await Promise.all(this.#queue);
+    if (this.error) throw this.error;
+  }
+
+  async init(options) {
+    super.init(options);
+
+    this.error = null;
+
+    if (!this.#unlisten) {
+      this.worker ||= new Worker(
+        new URL("./encoder.worker.js", import.meta.url),
+        { type: "module" },
+      );
+      this.worker.addEventListener("message", this.#onMessage);
+      this.worker.addEventListener("error", this.#onError);
+      this.#unlisten = listenToWorkerDownloads(this.worker);
+    }
+
+    // Functions and DOM elements can't be cloned
+    const { canvas, onChunk, sink, ...initOptions } = options;
+
+    ({ frameMethod: this.#frameMethod } = await this.#call("init", [
+      this.constructor.Encoder.id,
+      this.#options,
+      initOptions,
+      !!onChunk,
+    ]));
+  }
+
+  async encode(frame, number) {
+    if (this.error) {
+      frame?.close?.();
+      throw this.error;
+    }
+
+    this.#enqueue("encode", [frame, number], getTransferables(frame));
+
+    // Backpressure: only wait for the worker when the queue is full
+    while (this.#queue.size >= this.maxQueueSize) {
+      await Promise.race(this.#queue);
+    }
+    if (this.error) throw this.error;
+  }
+
+  async encodeAudio(audioDataInit) {
+    if (this.error) throw this.error;
+
+    this.#enqueue(
+      "encodeAudio",
+      [audioDataInit],
+      getTransferables(audioDataInit),
+    );
+  }
+
+  async pause() {
+    await this.#flush();
+    await this.#call("pause");
+  }
+
+  async resume() {
+    await this.#call("resume");
+  }
+
+  async stop() {
+    await this.#flush();
+    return await this.#call("stop");
+  }
+
+  async abort() {
+    if (!this.worker) return;
+
+    await Promise.all(this.#queue);
+    await this.#call("abort");
+  }
+
+  async cancel() {
+    if (!this.worker) return;
+
+    await Promise.all(this.#queue);
+    await this.#call("cancel");
+  }
+
+  async dispose() {
+    if (!this.worker) return;
+
+    await this.#call("dispose").catch(() => {});
+    this.#unlisten?.();
+    this.#unlisten = null;
+    this.worker.removeEventListener("message", this.#onMessage);
+    this.worker.removeEventListener("error", this.#onError);
+    this.worker.terminate();
+    this.worker = null;
+  }
+}
+
+export default WorkerEncoder;
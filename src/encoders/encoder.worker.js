@@ -0,0 +1,114 @@
+import { nextMultiple } from "../utils.js";
+
+/**
+ * Encoders that can be instantiated in the worker, lazy loaded by their static id.
+ * @private
+ */
+const ENCODERS = {
+  WebCodecsEncoder: () => import("./WebCodecsEncoder.js"),
+  MP4WasmEncoder: () => import("./MP4WasmEncoder.js"),
+  H264MP4Encoder: () => import("./H264MP4Encoder.js"),
+  GIFEncoder: () => import("./GIFEncoder.js"),
+  FrameEncoder: () => import("./FrameEncoder.js"),
+  FFmpegEncoder: () => import("./FFmpegEncoder.js"),
+};
+
+let encoder;
+let context;
+
+const getTransferables = (result) => {
+  // Only transfer buffers entirely owned by the result (not views on Wasm memory)
+  if (
+    ArrayBuffer.isView(result) &&
+    result.byteLength === result.buffer.byteLength
+  ) {
+    return [result.buffer];
+  }
+  if (result instanceof ArrayBuffer) return [result];
+  return [];
+};
+
+// Pixels are read back from the transferred ImageBitmap so that the main thread doesn't block on it
+const toImageData = (bitmap) => {
+  context ||= new OffscreenCanvas(bitmap.width, bitmap.height).getContext(
+    "2d",
+    { willReadFrequently: true },
+  );
+  const { canvas } = context;
+  if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+  }
+
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return context.getImageData(
+    0,
+    0,
+    nextMultiple(bitmap.width, 2),
+    nextMultiple(bitmap.height, 2),
+  ).data;
+};
+
+const methods = {
+  async init(id, options, initOptions, forwardChunks) {
+    if (!ENCODERS[id]) {
+      throw new Error(`canvas-record: unknown worker encoder "${id}".`);
+    }
+    const CurrentEncoder = (await ENCODERS[id]()).default;
+
+    encoder = new CurrentEncoder(options);
+    if (encoder.frameMethod === "requestFrame") {
+      throw new Error(
+        `canvas-record: encoder "${name}" needs a canvas and can't run in a worker.`,
+      );
+    }
+
+    await encoder.init({
+      ...initOptions,
+      onChunk: forwardChunks
+        ? (chunk, metadata, track) =>
+            postMessage({ type: "chunk", chunk, metadata, track })
+        : undefined,
+    });
+
+    return { frameMethod: encoder.frameMethod };
+  },
+  async encode(frame, number) {
+    await encoder.encode(
+      encoder.frameMethod === "imageData" && frame instanceof ImageBitmap
+        ? toImageData(frame)
+        : frame,
+      number,
+    );
+  },
+  encodeAudio: (audioDataInit) => encoder.encodeAudio(audioDataInit),
+  pause: () => encoder.pause(),
+  resume: () => encoder.resume(),
+  stop: () => encoder.stop(),
+  abort: () => encoder?.abort(),
+  cancel: () => encoder?.cancel(),
+  async dispose() {
+    await encoder?.dispose();
+    encoder = null;
+  },
+};
+
+// Handle messages one after the other so that frames are encoded in order
+let queue = Promise.resolve();
+
+addEventListener("message", ({ data }) => {
+  const { id, method, args } = data;
+  if (!methods[method]) return;
+
+  queue = queue.then(async () => {
+    try {
+      const result = await methods[method](...args);
+      postMessage({ id, result }, getTransferables(result));
+    } catch (error) {
+      postMessage({ id, error });
+    }
+  });
+});
@@ -7,3 +7,4 @@ export { default as GIFEncoder } from "./GIFEncoder.js";
 export { default as FrameEncoder } from "./FrameEncoder.js";
 export { default as FFmpegEncoder } from "./FFmpegEncoder.js";
 export { default as MediaCaptureEncoder } from "./MediaCaptureEncoder.js";
+export { default as WorkerEncoder } from "./WorkerEncoder.js";
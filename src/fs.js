@@ -0,0 +1,148 @@
+import { mkdir, open, readFile, readdir, rm, stat } from "node:fs/promises";
+import { basename, join, resolve } from "node:path";
+
+/**
+ * A FileSystemWritableFileStream on top of a Node.js file handle.
+ * @private
+ */
+class NodeWritableFileStream {
+  #handle;
+  #position = 0;
+
+  constructor(handle) {
+    this.#handle = handle;
+  }
+
+  async write(params) {
+    let data = params;
+    let position = this.#position;
+
+    if (params?.type === "seek") {
+      this.#position = params.position;
+      return;
+    }
+    if (params?.type === "truncate") {
+      await this.#handle.truncate(params.size);
+      return;
+    }
+    if (params?.type === "write") {
+      data = params.data;
+      position = params.position ?? position;
+    }
+
+    if (data instanceof Blob) data = await data.arrayBuffer();
+    if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+    if (typeof data === "string") data = Buffer.from(data);
+
+    const { bytesWritten } = await this.#handle.write(
+      data,
+      0,
+      data.byteLength,
+      position,
+    );
+    this.#position = position + bytesWritten;
+  }
+
+  async close() {
+    await this.#handle.close();
+  }
+
+  async abort() {
+    await this.#handle.close();
+  }
+}
+
+/**
+ * A FileSystemFileHandle for a path.
+ * @private
+ */
+class NodeFileHandle {
+  kind = "file";
+
+  constructor(path) {
+    this.path = path;
+    this.name = basename(path);
+  }
+
+  // File isn't a global in Node.js 18
+  async getFile() {
+    const { mtimeMs } = await stat(this.path);
+    return Object.assign(new Blob([await readFile(this.path)]), {
+      name: this.name,
+      lastModified: mtimeMs,
+    });
+  }
+
+  async createWritable({ keepExistingData = false } = {}) {
+    return new NodeWritableFileStream(
+      await open(this.path, keepExistingData ? "r+" : "w"),
+    );
+  }
+
+  async queryPermission() {
+    return "granted";
+  }
+
+  async requestPermission() {
+    return "granted";
+  }
+
+  async remove() {
+    await rm(this.path, { force: true });
+  }
+}
+
+/**
+ * A FileSystemDirectoryHandle for a path so that encoders write with `fs` through the File System API code paths.
+ * @private
+ */
+class NodeDirectoryHandle {
+  kind = "directory";
+
+  constructor(path) {
+    this.path = path;
+    this.name = basename(path);
+  }
+
+  async getDirectoryHandle(name, { create = false } = {}) {
+    const path = join(this.path, name);
+    if (create) {
+      await mkdir(path, { recursive: true });
+    } else if (!(await stat(path)).isDirectory()) {
+      throw new Error(`canvas-record: "${path}" is not a directory.`);
+    }
+    return new NodeDirectoryHandle(path);
+  }
+
+  async getFileHandle(name, { create = false } = {}) {
+    const path = join(this.path, name);
+    if (!create) await stat(path);
+    return new NodeFileHandle(path);
+  }
+
+  async removeEntry(name, { recursive = false } = {}) {
+    await rm(join(this.path, name), { recursive });
+  }
+
+  async *values() {
+    for (const entry of await readdir(this.path, { withFileTypes: true })) {
+      const path = join(this.path, entry.name);
+      yield entry.isDirectory()
+        ? new NodeDirectoryHandle(path)
+        : new NodeFileHandle(path);
+    }
+  }
+}
+
+/**
+ * Get a FileSystemDirectoryHandle-like handle for a directory, created if needed.
+ * @param {string} path
+ * @returns {Promise<NodeDirectoryHandle>}
+ */
+const getNodeDirectory = async (path) => {
+  const directory = resolve(path);
+  await mkdir(directory, { recursive: true });
+  return new NodeDirectoryHandle(directory);
+};
+
+export { getNodeDirectory };
@@ -0,0 +1,102 @@
+import { downloadBlob } from "./utils.js";
+
+/**
+ * Name of the directory holding the recordings in the Origin Private File System.
+ * @type {string}
+ */
+const OPFS_DIRECTORY = "canvas-record";
+
+/**
+ * @typedef {object} OPFSRecording
+ * @property {string} name The file name or the directory name for frame sequences.
+ * @property {"file" | "directory"} kind
+ * @property {number} [size] File size in bytes.
+ * @property {number} [lastModified] File last modified timestamp.
+ */
+
+/**
+ * Check if the Origin Private File System is available.
+ * @returns {boolean}
+ */
+const isOPFSSupported = () =>
+  typeof navigator !== "undefined" &&
+  typeof navigator.storage?.getDirectory === "function";
+
+/**
+ * Get the directory holding the recordings in the Origin Private File System.
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+const getOPFSDirectory = async () => {
+  const root = await navigator.storage.getDirectory();
+  return await root.getDirectoryHandle(OPFS_DIRECTORY, { create: true });
+};
+
+/**
+ * List the recordings stored in the Origin Private File System.
+ *
+ * @example
+ * ```js
+ * const recordings = await listRecordings();
+ * await exportRecording(recordings[0].name);
+ * ```
+ *
+ * @returns {Promise<OPFSRecording[]>}
+ */
+const listRecordings = async () => {
+  const directory = await getOPFSDirectory();
+
+  const recordings = [];
+  for await (const handle of directory.values()) {
+    if (handle.kind === "file") {
+      const { size, lastModified } = await handle.getFile();
+      recordings.push({
+        name: handle.name,
+        kind: handle.kind,
+        size,
+        lastModified,
+      });
+    } else {
+      recordings.push({ name: handle.name, kind: handle.kind });
+    }
+  }
+  return recordings;
+};
+
+/**
+ * Get a recording stored in the Origin Private File System.
+ * @param {string} name
+ * @returns {Promise<File>}
+ */
+const getRecording = async (name) => {
+  const directory = await getOPFSDirectory();
+  return await (await directory.getFileHandle(name)).getFile();
+};
+
+/**
+ * Download a recording stored in the Origin Private File System.
+ * @param {string} name
+ * @returns {Promise<File>}
+ */
+const exportRecording = async (name) => {
+  const file = await getRecording(name);
+  downloadBlob(name, [file], file.type);
+  return file;
+};
+
+/**
+ * Remove a recording (or a frame sequence directory) from the Origin Private File System.
+ * @param {string} name
+ */
+const removeRecording = async (name) => {
+  const directory = await getOPFSDirectory();
+  await directory.removeEntry(name, { recursive: true });
+};
+
+export {
+  isOPFSSupported,
+  getOPFSDirectory,
+  listRecordings,
+  getRecording,
+  exportRecording,
+  removeRecording,
+};
@@ -0,0 +1,321 @@
+/**
+ * @typedef {object} SegmentsOptions Options for HLS/DASH segmented output.
+ * @property {number} [duration=4] Target segment duration in seconds. Segments start on keyframes so the actual duration is rounded up to a multiple of the group of pictures.
+ * @property {boolean} [dash=false] Also write a DASH `manifest.mpd` next to the HLS `index.m3u8` playlist.
+ */
+
+/**
+ * @typedef {object} Segment
+ * @property {string} name
+ * @property {number} startTime Start time in track timescale units.
+ * @property {number} duration Duration in track timescale units.
+ * @property {number} size Size in bytes.
+ */
+
+const CONTAINER_BOXES = ["moov", "trak", "mdia", "moof", "traf"];
+
+const getType = (bytes, offset) =>
+  String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+
+/**
+ * Read the ISO BMFF boxes of a buffer, descending into the container boxes.
+ * @private
+ */
+const readBoxes = (
+  bytes,
+  start = 0,
+  end = bytes.byteLength,
+  containers = CONTAINER_BOXES,
+) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    const type = getType(bytes, offset);
+    const box = { type, start: offset, dataStart: offset + headerSize, size };
+    if (containers.includes(type)) {
+      box.children = readBoxes(bytes, box.dataStart, offset + size, containers);
+    }
+    boxes.push(box);
+
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (boxes, type) => boxes?.find((box) => box.type === type);
+
+/**
+ * Get the video track id and timescale from a moov box.
+ * @private
+ */
+const parseMoov = (view, moov) => {
+  const tracks = moov.children
+    .filter((box) => box.type === "trak")
+    .map((trak) => {
+      const tkhd = findBox(trak.children, "tkhd");
+      const mdia = findBox(trak.children, "mdia");
+      const mdhd = findBox(mdia.children, "mdhd");
+      const hdlr = findBox(mdia.children, "hdlr");
+
+      const tkhdVersion = view.getUint8(tkhd.dataStart);
+      const mdhdVersion = view.getUint8(mdhd.dataStart);
+
+      return {
+        id: view.getUint32(tkhd.dataStart + (tkhdVersion === 1 ? 20 : 12)),
+        timescale: view.getUint32(
+          mdhd.dataStart + (mdhdVersion === 1 ? 20 : 12),
+        ),
+        handler: String.fromCharCode(
+          ...new Uint8Array(
+            view.buffer,
+            view.byteOffset + hdlr.dataStart + 8,
+            4,
+          ),
+        ),
+      };
+    });
+
+  return tracks.find((track) => track.handler === "vide") || tracks[0];
+};
+
+/**
+ * Get the decode time and duration of a track fragment from a moof box.
+ * @private
+ */
+const parseMoof = (view, moof, trackId) => {
+  for (const traf of moof.children.filter((box) => box.type === "traf")) {
+    const tfhd = findBox(traf.children, "tfhd");
+    if (view.getUint32(tfhd.dataStart + 4) !== trackId) continue;
+
+    const tfhdFlags = view.getUint32(tfhd.dataStart) & 0xffffff;
+    let offset = tfhd.dataStart + 8;
+    if (tfhdFlags & 0x01) offset += 8; // base-data-offset
+    if (tfhdFlags & 0x02) offset += 4; // sample-description-index
+    const defaultSampleDuration = tfhdFlags & 0x08 ? view.getUint32(offset) : 0;
+
+    const tfdt = findBox(traf.children, "tfdt");
+    const startTime =
+      view.getUint8(tfdt.dataStart) === 1
+        ? Number(view.getBigUint64(tfdt.dataStart + 4))
+        : view.getUint32(tfdt.dataStart + 4);
+
+    let duration = 0;
+    for (const trun of traf.children.filter((box) => box.type === "trun")) {
+      const flags = view.getUint32(trun.dataStart) & 0xffffff;
+      const sampleCount = view.getUint32(trun.dataStart + 4);
+
+      offset = trun.dataStart + 8;
+      if (flags & 0x001) offset += 4; // data-offset
+      if (flags & 0x004) offset += 4; // first-sample-flags
+      const sampleSize =
+        4 * [0x100, 0x200, 0x400, 0x800].filter((flag) => flags & flag).length;
+
+      for (let i = 0; i < sampleCount; i++) {
+        duration +=
+          flags & 0x100 ? view.getUint32(offset) : defaultSampleDuration;
+        offset += sampleSize;
+      }
+    }
+
+    return { startTime, duration };
+  }
+};
+
+/**
+ * Split a fragmented MP4 stream into an init segment and media segments (one per moof/mdat fragment).
+ * @private
+ */
+class Segmenter {
+  /** @type {Segment[]} */
+  segments = [];
+  timescale = 1000;
+
+  #buffer = new Uint8Array(0);
+  #position = 0;
+  #init = [];
+  #trackId;
+  #fragment;
+  #onInit;
+  #onSegment;
+
+  constructor({ onInit, onSegment }) {
+    this.#onInit = onInit;
+    this.#onSegment = onSegment;
+  }
+
+  /**
+   * Push sequential muxer data.
+   * @param {Uint8Array} data
+   * @param {number} [position] Byte offset of the data, checked to be sequential.
+   */
+  push(data, position = this.#position) {
+    if (position !== this.#position) {
+      throw new Error("canvas-record: non sequential fragmented MP4 data.");
+    }
+    this.#position += data.byteLength;
+
+    const buffer = new Uint8Array(this.#buffer.byteLength + data.byteLength);
+    buffer.set(this.#buffer);
+    buffer.set(data, this.#buffer.byteLength);
+
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+
+    // Process complete top level boxes only
+    while (offset + 8 <= buffer.byteLength) {
+      let size = view.getUint32(offset);
+      if (size === 1) {
+        if (offset + 16 > buffer.byteLength) break;
+        size = Number(view.getBigUint64(offset + 8));
+      }
+      if (size === 0 || offset + size > buffer.byteLength) break;
+
+      this.#processBox(buffer.subarray(offset, offset + size));
+      offset += size;
+    }
+
+    this.#buffer = buffer.slice(offset);
+  }
+
+  #processBox(bytes) {
+    const [box] = readBoxes(bytes);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    switch (box.type) {
+      case "ftyp": {
+        this.#init.push(bytes.slice());
+        break;
+      }
+      case "moov": {
+        this.#init.push(bytes.slice());
+        const track = parseMoov(view, box);
+        this.#trackId = track.id;
+        this.timescale = track.timescale;
+        this.#onInit(concat(this.#init));
+        this.#init = [];
+        break;
+      }
+      case "moof": {
+        this.#fragment = {
+          bytes: [bytes.slice()],
+          ...parseMoof(view, box, this.#trackId),
+        };
+        break;
+      }
+      case "mdat": {
+        if (!this.#fragment) break;
+
+        const data = concat([...this.#fragment.bytes, bytes]);
+        const segment = {
+          name: `segment-${String(this.segments.length).padStart(5, "0")}.m4s`,
+          startTime: this.#fragment.startTime,
+          duration: this.#fragment.duration,
+          size: data.byteLength,
+        };
+        this.#fragment = null;
+        this.segments.push(segment);
+        this.#onSegment(data, segment);
+        break;
+      }
+      // Ignore mfra
+    }
+  }
+}
+
+const concat = (chunks) => {
+  const bytes = new Uint8Array(
+    chunks.reduce((size, chunk) => size + chunk.byteLength, 0),
+  );
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+};
+
+/**
+ * Generate an HLS media playlist. Without `ended`, the playlist is an EVENT playlist that can be played while recording.
+ * @private
+ */
+const getHLSPlaylist = ({ segments, timescale, ended }) => {
+  const targetDuration = Math.ceil(
+    Math.max(0, ...segments.map(({ duration }) => duration / timescale)),
+  );
+
+  return [
+    "#EXTM3U",
+    "#EXT-X-VERSION:7",
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    `#EXT-X-PLAYLIST-TYPE:${ended ? "VOD" : "EVENT"}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    `#EXT-X-MAP:URI="init.mp4"`,
+    ...segments.flatMap(({ name, duration }) => [
+      `#EXTINF:${(duration / timescale).toFixed(6)},`,
+      name,
+    ]),
+    ...(ended ? ["#EXT-X-ENDLIST"] : []),
+    "",
+  ].join("\n");
+};
+
+/**
+ * Generate a static DASH manifest with a segment timeline.
+ * @private
+ */
+const getDASHManifest = ({
+  segments,
+  timescale,
+  codecs,
+  width,
+  height,
+  frameRate,
+}) => {
+  const duration = segments.reduce(
+    (total, segment) => total + segment.duration / timescale,
+    0,
+  );
+  const bandwidth = Math.ceil(
+    Math.max(
+      0,
+      ...segments.map(
+        ({ size, duration }) => (size * 8) / (duration / timescale || 1),
+      ),
+    ),
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" mediaPresentationDuration="PT${duration.toFixed(3)}S" minBufferTime="PT2S">
+  <Period start="PT0S">
+    <AdaptationSet mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">
+      <Representation id="0" codecs="${codecs.join(",")}" width="${width}" height="${height}" frameRate="${frameRate}" bandwidth="${bandwidth}">
+        <SegmentTemplate timescale="${timescale}" initialization="init.mp4" media="segment-$Number%05d$.m4s" startNumber="0">
+          <SegmentTimeline>
+${segments
+  .map(
+    ({ startTime, duration }) =>
+      `            <S t="${startTime}" d="${duration}" />`,
+  )
+  .join("\n")}
+          </SegmentTimeline>
+        </SegmentTemplate>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>
+`;
+};
+
+export { Segmenter, getHLSPlaylist, getDASHManifest, readBoxes, findBox };
@@ -0,0 +1,157 @@
+/**
+ * @typedef {object} UploadOptions Options for the "upload" target.
+ * @property {string | function(string): string} endpoint The URL to upload to or a function returning it from the file name.
+ * @property {"PUT" | "POST"} [method="PUT"] HTTP method used for every request.
+ * @property {object} [headers={}] Additional request headers (eg. Authorization).
+ * @property {number} [chunkSize=8388608] Contiguous bytes buffered before sending a request. Default to 8MB.
+ * @property {number} [retries=3] Number of retries of a failed request (network errors, 5xx and 429 statuses).
+ * @property {number} [retryDelay=500] Delay in milliseconds before the first retry, doubled for each subsequent one.
+ * @property {number} [maxBufferedAmount=33554432] Bytes waiting to be uploaded before encoding waits for the network. Default to 32MB.
+ */
+
+/**
+ * Upload positioned writes in chunks with `Content-Range: bytes start-end/*` headers, one request at a time.
+ * A last request without body and with the total size as Content-Range (unknown range) signals the end of the upload.
+ * A failed request is retried on its own so the upload resumes where it stopped.
+ * @private
+ */
+class UploadWriter {
+  static defaultOptions = {
+    method: "PUT",
+    headers: {},
+    chunkSize: 8 * 1024 * 1024,
+    retries: 3,
+    retryDelay: 500,
+    maxBufferedAmount: 32 * 1024 * 1024,
+  };
+
+  seekable = true;
+
+  #options;
+  #url;
+  #controller = new AbortController();
+  #queue = Promise.resolve();
+  #chunks = [];
+  #start = 0;
+  #length = 0;
+  #size = 0;
+  #bufferedAmount = 0;
+  #error;
+
+  /**
+   * @param {UploadOptions} options
+   * @param {string} filename
+   */
+  constructor(options, filename) {
+    this.#options = { ...UploadWriter.defaultOptions, ...options };
+
+    const { endpoint } = this.#options;
+    if (!endpoint) {
+      throw new Error(`canvas-record: "upload" target requires an endpoint.`);
+    }
+    this.#url = typeof endpoint === "function" ? endpoint(filename) : endpoint;
+  }
+
+  async #send(body, contentRange) {
+    const { method, headers, retries, retryDelay } = this.#options;
+
+    for (let attempt = 0; ; attempt++) {
+      let retryable = true;
+      try {
+        const response = await fetch(this.#url, {
+          method,
+          headers: { ...headers, "Content-Range": contentRange },
+          body,
+          signal: this.#controller.signal,
+        });
+        if (response.ok) return;
+
+        // Client errors won't succeed on retry
+        retryable = response.status >= 500 || response.status === 429;
+        throw new Error(
+          `canvas-record: upload of "${contentRange}" failed with status ${response.status}.`,
+        );
+      } catch (error) {
+        if (
+          !retryable ||
+          attempt >= retries ||
+          this.#controller.signal.aborted
+        ) {
+          throw error;
+        }
+      }
+
+      await new Promise((resolve) =>
+        setTimeout(resolve, retryDelay * 2 ** attempt),
+      );
+    }
+  }
+
+  #flush() {
+    if (!this.#length) return this.#queue;
+
+    const body = new Uint8Array(this.#length);
+    let offset = 0;
+    for (const chunk of this.#chunks) {
+      body.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    const end = this.#start + this.#length - 1;
+    const contentRange = `bytes ${this.#start}-${end}/*`;
+
+    this.#chunks = [];
+    this.#length = 0;
+
+    this.#queue = this.#queue.then(async () => {
+      await this.#send(body, contentRange);
+      this.#bufferedAmount -= body.byteLength;
+    });
+    this.#queue.catch((error) => (this.#error ||= error));
+    return this.#queue;
+  }
+
+  async write(data, position = this.#size) {
+    if (this.#error) throw this.#error;
+
+    // Muxers rewrite headers at earlier positions: send what was buffered first
+    if (this.#length && position !== this.#start + this.#length) {
+      this.#flush();
+    }
+    if (!this.#length) this.#start = position;
+
+    this.#chunks.push(data);
+    this.#length += data.byteLength;
+    this.#bufferedAmount += data.byteLength;
+    this.#size = Math.max(this.#size, position + data.byteLength);
+
+    if (this.#length >= this.#options.chunkSize) await this.#flush();
+  }
+
+  /**
+   * Wait for the buffered and queued bytes to go under `maxBufferedAmount`: muxers don't wait for writes.
+   */
+  async drain() {
+    while (this.#bufferedAmount > this.#options.maxBufferedAmount) {
+      if (this.#error) throw this.#error;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    if (this.#error) throw this.#error;
+  }
+
+  async close() {
+    await this.#flush();
+
+    const size = this.#size;
+    this.#queue = this.#queue.then(() => this.#send(null, `bytes */${size}`));
+    await this.#queue;
+  }
+
+  async abort() {
+    this.#chunks = [];
+    this.#length = 0;
+    this.#controller.abort();
+    await this.#queue.catch(() => {});
+  }
+}
+
+export { UploadWriter };
@@ -2,12 +2,34 @@
  * Check for WebCodecs support on the current platform.
  * @type {boolean}
  */
-const isWebCodecsSupported =
-  typeof window !== "undefined" && typeof window.VideoEncoder === "function";
+const isWebCodecsSupported = typeof globalThis.VideoEncoder === "function";
+
+const WORKER_DOWNLOAD_MESSAGE = "canvas-record:download";
+
+/**
+ * Check if running in a dedicated worker.
+ * @type {boolean}
+ */
+const isDedicatedWorker =
+  typeof DedicatedWorkerGlobalScope !== "undefined" &&
+  globalThis instanceof DedicatedWorkerGlobalScope;
 
 let link;
 
+/**
+ * Download a file. In a dedicated worker, the file is posted to the main thread instead: see `listenToWorkerDownloads`.
+ */
 const downloadBlob = (filename, blobPart, mimeType) => {
+  if (isDedicatedWorker) {
+    globalThis.postMessage({
+      type: WORKER_DOWNLOAD_MESSAGE,
+      filename,
+      blobPart,
+      mimeType,
+    });
+    return;
+  }
+
   link ||= document.createElement("a");
   link.download = filename;
 
@@ -23,6 +45,29 @@ const downloadBlob = (filename, blobPart, mimeType) => {
   }, 1);
 };
 
+/**
+ * Download the files posted by a Recorder or an Encoder running in a dedicated worker.
+ *
+ * @example
+ * ```js
+ * const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+ * const offscreenCanvas = canvas.transferControlToOffscreen();
+ * worker.postMessage({ canvas: offscreenCanvas }, [offscreenCanvas]);
+ * const unlisten = listenToWorkerDownloads(worker);
+ * ```
+ *
+ * @param {Worker} worker
+ * @returns {function} A function to remove the listener.
+ */
+const listenToWorkerDownloads = (worker) => {
+  const onMessage = ({ data }) => {
+    if (data?.type !== WORKER_DOWNLOAD_MESSAGE) return;
+    downloadBlob(data.filename, data.blobPart, data.mimeType);
+  };
+  worker.addEventListener("message", onMessage);
+  return () => worker.removeEventListener("message", onMessage);
+};
+
 const formatDate = (date) =>
   date.toISOString().replace(/:/g, "-").replace("T", "@").replace("Z", "");
 
@@ -36,6 +81,51 @@ const formatSeconds = (seconds) => {
 
 const nextMultiple = (x, n = 2) => Math.ceil(x / n) * n;
 
+/**
+ * Get a frame rate as an integer fraction. NTSC rates (29.97 or `30000 / 1001`, 23.976, 59.94...) are detected so that frame times are exact.
+ *
+ * @example
+ * ```js
+ * getFrameRateFraction(30); // => [30, 1]
+ * getFrameRateFraction(30000 / 1001); // => [30000, 1001]
+ * getFrameRateFraction(12.5); // => [25, 2]
+ * ```
+ *
+ * @param {number} frameRate
+ * @returns {[number, number]} Numerator and denominator.
+ */
+const getFrameRateFraction = (frameRate) => {
+  if (Number.isInteger(frameRate)) return [frameRate, 1];
+
+  const ntsc = frameRate * 1.001;
+  if (Math.abs(ntsc - Math.round(ntsc)) < 0.001) {
+    return [Math.round(ntsc) * 1000, 1001];
+  }
+
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const numerator = Math.round(frameRate * 1000);
+  const divisor = gcd(numerator, 1000);
+  return [numerator / divisor, 1000 / divisor];
+};
+
+/**
+ * Convert RGBA pixels with premultiplied alpha to straight alpha in place.
+ * @param {Uint8Array | Uint8ClampedArray} pixels
+ * @returns {Uint8Array | Uint8ClampedArray}
+ */
+const unpremultiplyAlpha = (pixels) => {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3];
+    if (alpha === 0 || alpha === 255) continue;
+
+    const factor = 255 / alpha;
+    pixels[i] = Math.min(255, Math.round(pixels[i] * factor));
+    pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * factor));
+    pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * factor));
+  }
+  return pixels;
+};
+
 class Deferred {
   constructor() {
     this.resolve = null;
@@ -85,10 +175,14 @@ const estimateBitRate = (
 
 export {
   isWebCodecsSupported,
+  isDedicatedWorker,
   downloadBlob,
+  listenToWorkerDownloads,
   formatDate,
   formatSeconds,
   nextMultiple,
+  getFrameRateFraction,
+  unpremultiplyAlpha,
   Deferred,
   estimateBitRate,
 };
@@ -0,0 +1,159 @@
+/**
+ * @typedef {object} WebSocketOptions Options for the "websocket" target.
+ * @property {string | function(string): string} url The WebSocket URL to stream to or a function returning it from the file name.
+ * @property {string | string[]} [protocols] WebSocket sub-protocols.
+ * @property {number} [maxBufferedAmount=16777216] Bytes queued on the socket before encoding waits for the network. Default to 16MB.
+ */
+
+/**
+ * Message types of the "websocket" target framing. All numbers are big-endian.
+ *
+ * - `Config` (0x01): `u8 type | u32 JSON byte length | JSON | codec description bytes (optional, until the end of the message)`.
+ *   The JSON holds `{ track, filename, mimeType, codec, ... }`: `width`, `height`, `frameRate`, `colorSpace` and `audio` (whether an audio config follows) for "video", `sampleRate` and `numberOfChannels` for "audio". Sent before the first chunk of a track and when its decoder config changes.
+ * - `Chunk` (0x02): `u8 type | u8 flags (bit 0: key frame, bit 1: audio track) | f64 timestamp in µs | f64 duration in µs | chunk data`.
+ * - `End` (0x03): `u8 type`. Sent when the recording stops. A socket closed without it means the recording was aborted.
+ *
+ * See `example/websocket-server.js` for a reference receiver.
+ * @type {object}
+ */
+const WebSocketMessageType = Object.freeze({
+  Config: 0x01,
+  Chunk: 0x02,
+  End: 0x03,
+});
+
+const toUint8Array = (data) =>
+  ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+
+/**
+ * Send encoded chunks to a WebSocket as binary messages framed with `WebSocketMessageType`.
+ * @private
+ */
+class WebSocketWriter {
+  static defaultOptions = {
+    maxBufferedAmount: 16 * 1024 * 1024,
+  };
+
+  #options;
+  #url;
+  #socket;
+  #error;
+  #ended = false;
+
+  /**
+   * @param {WebSocketOptions} options
+   * @param {string} filename
+   */
+  constructor(options, filename) {
+    this.#options = { ...WebSocketWriter.defaultOptions, ...options };
+
+    const { url } = this.#options;
+    if (!url) {
+      throw new Error(`canvas-record: "websocket" target requires a url.`);
+    }
+    this.#url = typeof url === "function" ? url(filename) : url;
+  }
+
+  #send(data) {
+    if (this.#error) throw this.#error;
+    this.#socket.send(data);
+  }
+
+  /**
+   * Connect to the WebSocket.
+   */
+  async open() {
+    this.#socket = new WebSocket(this.#url, this.#options.protocols);
+    this.#socket.binaryType = "arraybuffer";
+
+    await new Promise((resolve, reject) => {
+      this.#socket.addEventListener("open", resolve, { once: true });
+      this.#socket.addEventListener(
+        "error",
+        () =>
+          reject(new Error(`canvas-record: can't connect to "${this.#url}".`)),
+        { once: true },
+      );
+    });
+
+    this.#socket.addEventListener("close", ({ code }) => {
+      if (!this.#ended) {
+        this.#error ||= new Error(
+          `canvas-record: WebSocket closed while recording (code ${code}).`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Send a track decoder config.
+   * @param {object} config
+   * @param {BufferSource} [description]
+   */
+  sendConfig(config, description) {
+    const json = new TextEncoder().encode(JSON.stringify(config));
+    const descriptionBytes = description
+      ? toUint8Array(description)
+      : new Uint8Array(0);
+
+    const data = new Uint8Array(
+      5 + json.byteLength + descriptionBytes.byteLength,
+    );
+    const view = new DataView(data.buffer);
+    view.setUint8(0, WebSocketMessageType.Config);
+    view.setUint32(1, json.byteLength);
+    data.set(json, 5);
+    data.set(descriptionBytes, 5 + json.byteLength);
+
+    this.#send(data);
+  }
+
+  /**
+   * Send an encoded chunk.
+   * @param {EncodedVideoChunk | EncodedAudioChunk} chunk
+   * @param {"video" | "audio"} track
+   */
+  sendChunk(chunk, track) {
+    const data = new Uint8Array(18 + chunk.byteLength);
+    const view = new DataView(data.buffer);
+    view.setUint8(0, WebSocketMessageType.Chunk);
+    view.setUint8(
+      1,
+      (chunk.type === "key" ? 0b01 : 0) | (track === "audio" ? 0b10 : 0),
+    );
+    view.setFloat64(2, chunk.timestamp);
+    view.setFloat64(10, chunk.duration ?? 0);
+    chunk.copyTo(data.subarray(18));
+
+    this.#send(data);
+  }
+
+  /**
+   * Wait for the socket buffer to go under `maxBufferedAmount`.
+   */
+  async drain() {
+    while (this.#socket.bufferedAmount > this.#options.maxBufferedAmount) {
+      if (this.#error) throw this.#error;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    if (this.#error) throw this.#error;
+  }
+
+  /**
+   * Send the end message and close the socket once buffered data is sent.
+   */
+  async close() {
+    this.#send(new Uint8Array([WebSocketMessageType.End]));
+    this.#ended = true;
+    this.#socket.close(1000);
+  }
+
+  async abort() {
+    this.#ended = true;
+    this.#socket?.close(1000);
+  }
+}
+
+export { WebSocketMessageType, WebSocketWriter };
@@ -0,0 +1,155 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as MP4Muxer from "mp4-muxer";
+import * as WebMMuxer from "webm-muxer";
+
+import { concat } from "../src/concat.js";
+import { readBoxes, findBox } from "../src/segments.js";
+
+const AVC_DESCRIPTION = new Uint8Array([1, 100, 0, 40, 255, 225, 0, 0]);
+
+// Chunks of frameCount frames at 30fps starting with a key frame
+const createMP4Chunk = (frameCount, description = AVC_DESCRIPTION) => {
+  const muxer = new MP4Muxer.Muxer({
+    target: new MP4Muxer.ArrayBufferTarget(),
+    video: { codec: "avc", width: 16, height: 16, frameRate: 30 },
+    fastStart: "in-memory",
+    firstTimestampBehavior: "offset",
+  });
+  for (let i = 0; i < frameCount; i++) {
+    muxer.addVideoChunkRaw(
+      new Uint8Array(10).fill(i),
+      i ? "delta" : "key",
+      (i * 1e6) / 30,
+      1e6 / 30,
+      i ? undefined : { decoderConfig: { codec: "avc1.640028", description } },
+    );
+  }
+  muxer.finalize();
+  return muxer.target.buffer;
+};
+
+const createWebMChunk = (frameCount) => {
+  const muxer = new WebMMuxer.Muxer({
+    target: new WebMMuxer.ArrayBufferTarget(),
+    video: { codec: "V_VP9", width: 16, height: 16, frameRate: 30 },
+    firstTimestampBehavior: "offset",
+  });
+  for (let i = 0; i < frameCount; i++) {
+    muxer.addVideoChunkRaw(
+      new Uint8Array(10).fill(i),
+      i ? "delta" : "key",
+      (i * 1e6) / 30,
+      i ? undefined : { decoderConfig: { codec: "vp09.00.10.08" } },
+    );
+  }
+  muxer.finalize();
+  return muxer.target.buffer;
+};
+
+// Video sample table of the first track
+const getSampleTable = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const boxes = readBoxes(bytes, 0, bytes.byteLength, [
+    "moov",
+    "trak",
+    "mdia",
+    "minf",
+    "stbl",
+  ]);
+  const trak = findBox(findBox(boxes, "moov").children, "trak");
+  const mdia = findBox(trak.children, "mdia");
+  const stbl = findBox(findBox(mdia.children, "minf").children, "stbl");
+  const stts = findBox(stbl.children, "stts");
+  const stss = findBox(stbl.children, "stss");
+
+  const deltas = [];
+  for (let i = 0; i < view.getUint32(stts.dataStart + 4); i++) {
+    const count = view.getUint32(stts.dataStart + 8 + i * 8);
+    const delta = view.getUint32(stts.dataStart + 12 + i * 8);
+    deltas.push(...Array(count).fill(delta));
+  }
+  return {
+    timescale: view.getUint32(findBox(mdia.children, "mdhd").dataStart + 12),
+    deltas,
+    keyFrames: Array.from(
+      { length: view.getUint32(stss.dataStart + 4) },
+      (_, i) => view.getUint32(stss.dataStart + 8 + i * 4),
+    ),
+  };
+};
+
+describe("concat", () => {
+  it("should join MP4 chunks one frame after the other", async () => {
+    const buffer = await concat([createMP4Chunk(3), createMP4Chunk(3)]);
+    const { timescale, deltas, keyFrames } = getSampleTable(buffer);
+
+    assert.equal(deltas.length, 6);
+    for (const delta of deltas) assert.equal(delta / timescale, 1 / 30);
+    // 1-based sample numbers
+    assert.deepEqual(keyFrames, [1, 4]);
+  });
+
+  it("should read Blobs and functions returning chunks lazily", async () => {
+    const read = [];
+    const buffer = await concat([
+      new Blob([createMP4Chunk(2)]),
+      async () => {
+        read.push(1);
+        return new Uint8Array(createMP4Chunk(3));
+      },
+    ]);
+
+    assert.deepEqual(read, [1]);
+    assert.equal(getSampleTable(buffer).deltas.length, 5);
+  });
+
+  it("should stream the output with onData", async () => {
+    const chunks = [createMP4Chunk(3), createMP4Chunk(3)];
+    const output = new Uint8Array((await concat(chunks)).byteLength + 1024);
+    let size = 0;
+    const result = await concat(chunks, {
+      onData: (data, position) => {
+        output.set(data, position);
+        size = Math.max(size, position + data.byteLength);
+      },
+    });
+
+    assert.equal(result, undefined);
+    assert.equal(getSampleTable(output.slice(0, size).buffer).deltas.length, 6);
+  });
+
+  it("should join WebM chunks into a file that can be concatenated again", async () => {
+    const buffer = await concat([createWebMChunk(3), createWebMChunk(3)], {
+      frameRate: 30,
+    });
+    const bytes = new Uint8Array(buffer);
+
+    assert.equal(new DataView(buffer).getUint32(0), 0x1a45dfa3);
+    assert.ok(Buffer.from(bytes).includes("webm"));
+    await assert.doesNotReject(concat([buffer, createWebMChunk(3)]));
+  });
+
+  it("should reject chunks with different settings", async () => {
+    await assert.rejects(
+      concat([
+        createMP4Chunk(3),
+        createMP4Chunk(3, new Uint8Array([1, 77, 0, 40, 255, 225, 0, 0])),
+      ]),
+      /chunk 1 settings don't match the first chunk/,
+    );
+    await assert.rejects(
+      concat([createMP4Chunk(3), createWebMChunk(3)]),
+      /chunk 1 settings don't match/,
+    );
+  });
+
+  it("should reject invalid chunks", async () => {
+    await assert.rejects(concat([]), /no chunks to concat/);
+    await assert.rejects(
+      concat([new Uint8Array(16)]),
+      /chunk 0 isn't a MP4 or WebM/,
+    );
+  });
+});
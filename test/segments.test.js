@@ -0,0 +1,159 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as MP4Muxer from "mp4-muxer";
+
+import {
+  Segmenter,
+  getHLSPlaylist,
+  getDASHManifest,
+  readBoxes,
+  findBox,
+} from "../src/segments.js";
+
+// 2 seconds at 30fps with a key frame every second
+const muxFragmented = (onData) => {
+  const muxer = new MP4Muxer.Muxer({
+    target: new MP4Muxer.StreamTarget({ onData }),
+    video: { codec: "avc", width: 16, height: 16, frameRate: 30 },
+    fastStart: "fragmented",
+    firstTimestampBehavior: "offset",
+  });
+  for (let i = 0; i < 60; i++) {
+    muxer.addVideoChunkRaw(
+      new Uint8Array(10).fill(i),
+      i % 30 ? "delta" : "key",
+      (i * 1e6) / 30,
+      1e6 / 30,
+      i
+        ? undefined
+        : {
+            decoderConfig: {
+              codec: "avc1.640028",
+              description: new Uint8Array([1, 100, 0, 40, 255, 225, 0, 0]),
+            },
+          },
+    );
+  }
+  muxer.finalize();
+};
+
+describe("readBoxes", () => {
+  it("should read nested boxes", () => {
+    const bytes = new Uint8Array([
+      ...[0, 0, 0, 8, ...Buffer.from("ftyp")],
+      ...[0, 0, 0, 16, ...Buffer.from("moov")],
+      ...[0, 0, 0, 8, ...Buffer.from("trak")],
+    ]);
+    const boxes = readBoxes(bytes);
+
+    assert.deepEqual(
+      boxes.map(({ type, start, size }) => [type, start, size]),
+      [
+        ["ftyp", 0, 8],
+        ["moov", 8, 16],
+      ],
+    );
+    assert.equal(findBox(findBox(boxes, "moov").children, "trak").start, 16);
+  });
+});
+
+describe("Segmenter", () => {
+  it("should split a fragmented MP4 into init and media segments", () => {
+    const inits = [];
+    const segments = [];
+    const segmenter = new Segmenter({
+      onInit: (data) => inits.push(data),
+      onSegment: (data, segment) => segments.push({ data, segment }),
+    });
+
+    // Split writes to check that boxes are buffered until complete
+    muxFragmented((data, position) => {
+      const middle = Math.floor(data.byteLength / 2);
+      segmenter.push(data.subarray(0, middle), position);
+      segmenter.push(data.subarray(middle), position + middle);
+    });
+
+    assert.equal(inits.length, 1);
+    assert.deepEqual(
+      readBoxes(inits[0], 0, inits[0].byteLength, []).map(({ type }) => type),
+      ["ftyp", "moov"],
+    );
+    assert.deepEqual(
+      segments.map(({ segment }) => segment),
+      segmenter.segments,
+    );
+    assert.deepEqual(
+      segmenter.segments.map(({ name, startTime, duration }) => [
+        name,
+        startTime / segmenter.timescale,
+        duration / segmenter.timescale,
+      ]),
+      [
+        ["segment-00000.m4s", 0, 1],
+        ["segment-00001.m4s", 1, 1],
+      ],
+    );
+    for (const { data, segment } of segments) {
+      assert.equal(segment.size, data.byteLength);
+      assert.deepEqual(
+        readBoxes(data, 0, data.byteLength, []).map(({ type }) => type),
+        ["moof", "mdat"],
+      );
+    }
+  });
+
+  it("should reject non sequential data", () => {
+    const segmenter = new Segmenter({ onInit() {}, onSegment() {} });
+    assert.throws(() => segmenter.push(new Uint8Array(8), 8), /non sequential/);
+  });
+});
+
+const segments = [
+  { name: "segment-00000.m4s", startTime: 0, duration: 4000, size: 1000 },
+  { name: "segment-00001.m4s", startTime: 4000, duration: 1500, size: 500 },
+];
+
+describe("getHLSPlaylist", () => {
+  it("should list the segments of an event playlist while recording", () => {
+    const playlist = getHLSPlaylist({ segments, timescale: 1000 });
+
+    assert.match(playlist, /#EXT-X-PLAYLIST-TYPE:EVENT\n/);
+    assert.match(playlist, /#EXT-X-TARGETDURATION:4\n/);
+    assert.match(playlist, /#EXT-X-MAP:URI="init.mp4"\n/);
+    assert.match(
+      playlist,
+      /#EXTINF:4.000000,\nsegment-00000.m4s\n#EXTINF:1.500000,\nsegment-00001.m4s\n$/,
+    );
+  });
+
+  it("should end a VOD playlist", () => {
+    const playlist = getHLSPlaylist({ segments, timescale: 1000, ended: true });
+
+    assert.match(playlist, /#EXT-X-PLAYLIST-TYPE:VOD\n/);
+    assert.match(playlist, /#EXT-X-ENDLIST\n$/);
+  });
+});
+
+describe("getDASHManifest", () => {
+  it("should describe the segments in a timeline", () => {
+    const manifest = getDASHManifest({
+      segments,
+      timescale: 1000,
+      codecs: ["avc1.640028", "mp4a.40.2"],
+      width: 1920,
+      height: 1080,
+      frameRate: "30000/1001",
+    });
+
+    assert.match(manifest, /mediaPresentationDuration="PT5.500S"/);
+    assert.match(
+      manifest,
+      /codecs="avc1.640028,mp4a.40.2" width="1920" height="1080" frameRate="30000\/1001" bandwidth="2667"/,
+    );
+    assert.match(manifest, /<SegmentTemplate timescale="1000"/);
+    assert.match(
+      manifest,
+      /<S t="0" d="4000" \/>\n {12}<S t="4000" d="1500" \/>/,
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { UploadWriter } from "../src/upload.js";
+
+const { fetch } = globalThis;
+
+// Record requests and answer with the given statuses (200 once exhausted)
+const mockFetch = (statuses = []) => {
+  const requests = [];
+  globalThis.fetch = async (url, { method, headers, body }) => {
+    requests.push({
+      url,
+      method,
+      contentRange: headers["Content-Range"],
+      body: body && Array.from(body),
+    });
+    return new Response(null, { status: statuses.shift() ?? 200 });
+  };
+  return requests;
+};
+
+describe("UploadWriter", () => {
+  afterEach(() => {
+    globalThis.fetch = fetch;
+  });
+
+  it("should send contiguous chunks with Content-Range and complete with the size", async () => {
+    const requests = mockFetch();
+    const writer = new UploadWriter(
+      {
+        endpoint: (filename) => `https://example.com/${filename}`,
+        chunkSize: 4,
+      },
+      "file.mp4",
+    );
+
+    await writer.write(new Uint8Array([0, 1, 2]), 0);
+    await writer.write(new Uint8Array([3, 4, 5]), 3);
+    await writer.write(new Uint8Array([6, 7]), 6);
+    // Header rewrite at an earlier position
+    await writer.write(new Uint8Array([9, 9]), 0);
+    await writer.close();
+
+    assert.deepEqual(requests, [
+      {
+        url: "https://example.com/file.mp4",
+        method: "PUT",
+        contentRange: "bytes 0-5/*",
+        body: [0, 1, 2, 3, 4, 5],
+      },
+      {
+        url: "https://example.com/file.mp4",
+        method: "PUT",
+        contentRange: "bytes 6-7/*",
+        body: [6, 7],
+      },
+      {
+        url: "https://example.com/file.mp4",
+        method: "PUT",
+        contentRange: "bytes 0-1/*",
+        body: [9, 9],
+      },
+      {
+        url: "https://example.com/file.mp4",
+        method: "PUT",
+        contentRange: "bytes */8",
+        body: null,
+      },
+    ]);
+  });
+
+  it("should retry server errors", async () => {
+    const requests = mockFetch([503, 429]);
+    const writer = new UploadWriter(
+      { endpoint: "https://example.com", retryDelay: 0 },
+      "file.gif",
+    );
+
+    await writer.write(new Uint8Array([1, 2]));
+    await writer.close();
+
+    assert.deepEqual(
+      requests.map(({ contentRange }) => contentRange),
+      ["bytes 0-1/*", "bytes 0-1/*", "bytes 0-1/*", "bytes */2"],
+    );
+  });
+
+  it("should not retry client errors", async () => {
+    const requests = mockFetch([403]);
+    const writer = new UploadWriter(
+      { endpoint: "https://example.com", retryDelay: 0 },
+      "file.gif",
+    );
+
+    await writer.write(new Uint8Array([1, 2]));
+    await assert.rejects(writer.close(), /failed with status 403/);
+    assert.equal(requests.length, 1);
+  });
+
+  it("should fail after the retries", async () => {
+    const requests = mockFetch([500, 500, 500]);
+    const writer = new UploadWriter(
+      { endpoint: "https://example.com", retries: 2, retryDelay: 0 },
+      "file.gif",
+    );
+
+    await writer.write(new Uint8Array([1, 2]));
+    await assert.rejects(writer.close(), /failed with status 500/);
+    assert.equal(requests.length, 3);
+    await assert.rejects(writer.write(new Uint8Array([3])), /status 500/);
+  });
+
+  it("should drain once pending bytes are under maxBufferedAmount", async () => {
+    const responses = [];
+    globalThis.fetch = () =>
+      new Promise((resolve) =>
+        responses.push(() => resolve(new Response(null, { status: 200 }))),
+      );
+    const writer = new UploadWriter(
+      { endpoint: "https://example.com", chunkSize: 2, maxBufferedAmount: 2 },
+      "file.webm",
+    );
+
+    // Muxers don't wait for writes
+    writer.write(new Uint8Array([0, 1]), 0);
+    writer.write(new Uint8Array([2, 3]), 2);
+
+    let drained = false;
+    const drain = writer.drain().then(() => (drained = true));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(drained, false);
+
+    responses.shift()();
+    await drain;
+    assert.equal(drained, true);
+
+    responses.shift()();
+  });
+
+  it("should require an endpoint", () => {
+    assert.throws(() => new UploadWriter({}, "file.mp4"), /endpoint/);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { getFrameRateFraction } from "../src/utils.js";
+
+describe("getFrameRateFraction", () => {
+  it("should keep integer frame rates", () => {
+    assert.deepEqual(getFrameRateFraction(30), [30, 1]);
+    assert.deepEqual(getFrameRateFraction(60), [60, 1]);
+  });
+
+  it("should detect NTSC frame rates", () => {
+    assert.deepEqual(getFrameRateFraction(30000 / 1001), [30000, 1001]);
+    assert.deepEqual(getFrameRateFraction(29.97), [30000, 1001]);
+    assert.deepEqual(getFrameRateFraction(24000 / 1001), [24000, 1001]);
+    assert.deepEqual(getFrameRateFraction(23.976), [24000, 1001]);
+    assert.deepEqual(getFrameRateFraction(59.94), [60000, 1001]);
+  });
+
+  it("should reduce other fractional frame rates", () => {
+    assert.deepEqual(getFrameRateFraction(12.5), [25, 2]);
+    assert.deepEqual(getFrameRateFraction(7.5), [15, 2]);
+  });
+
+  it("should give exact frame times", () => {
+    const [numerator, denominator] = getFrameRateFraction(30000 / 1001);
+    assert.equal((300 * denominator) / numerator, 10.01);
+  });
+});
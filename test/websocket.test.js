@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { WebSocketMessageType, WebSocketWriter } from "../src/websocket.js";
+
+const { WebSocket } = globalThis;
+
+class MockWebSocket extends EventTarget {
+  static instances = [];
+
+  messages = [];
+  bufferedAmount = 0;
+
+  constructor(url) {
+    super();
+    this.url = url;
+    MockWebSocket.instances.push(this);
+    setTimeout(() => this.dispatchEvent(new Event("open")));
+  }
+
+  send(data) {
+    this.messages.push(data.slice());
+  }
+
+  close(code) {
+    this.closeCode = code;
+  }
+}
+
+const createChunk = (type, timestamp, duration, data) => ({
+  type,
+  timestamp,
+  duration,
+  byteLength: data.byteLength,
+  copyTo: (destination) => destination.set(data),
+});
+
+describe("WebSocketWriter", () => {
+  beforeEach(() => {
+    MockWebSocket.instances = [];
+    globalThis.WebSocket = MockWebSocket;
+  });
+  afterEach(() => {
+    globalThis.WebSocket = WebSocket;
+  });
+
+  it("should frame configs, chunks and the end of the recording", async () => {
+    const writer = new WebSocketWriter(
+      { url: (filename) => `ws://localhost:3002/${filename}` },
+      "file.mp4",
+    );
+    await writer.open();
+    const [socket] = MockWebSocket.instances;
+    assert.equal(socket.url, "ws://localhost:3002/file.mp4");
+
+    const config = { track: "video", codec: "avc1.640028", width: 16 };
+    writer.sendConfig(config, new Uint8Array([1, 2, 3]).buffer);
+    writer.sendChunk(
+      createChunk("key", 33333, 33334, new Uint8Array([4, 5])),
+      "video",
+    );
+    writer.sendChunk(
+      createChunk("delta", 0, 21333, new Uint8Array([6])),
+      "audio",
+    );
+    await writer.close();
+
+    const [configMessage, videoMessage, audioMessage, endMessage] =
+      socket.messages;
+
+    const json = new TextEncoder().encode(JSON.stringify(config));
+    const configView = new DataView(configMessage.buffer);
+    assert.equal(configView.getUint8(0), WebSocketMessageType.Config);
+    assert.equal(configView.getUint32(1), json.byteLength);
+    assert.deepEqual(
+      JSON.parse(
+        new TextDecoder().decode(
+          configMessage.subarray(5, 5 + json.byteLength),
+        ),
+      ),
+      config,
+    );
+    assert.deepEqual(
+      Array.from(configMessage.subarray(5 + json.byteLength)),
+      [1, 2, 3],
+    );
+
+    const videoView = new DataView(videoMessage.buffer);
+    assert.equal(videoView.getUint8(0), WebSocketMessageType.Chunk);
+    assert.equal(videoView.getUint8(1), 0b01);
+    assert.equal(videoView.getFloat64(2), 33333);
+    assert.equal(videoView.getFloat64(10), 33334);
+    assert.deepEqual(Array.from(videoMessage.subarray(18)), [4, 5]);
+
+    const audioView = new DataView(audioMessage.buffer);
+    assert.equal(audioView.getUint8(1), 0b10);
+    assert.equal(audioView.getFloat64(10), 21333);
+    assert.deepEqual(Array.from(audioMessage.subarray(18)), [6]);
+
+    assert.deepEqual(Array.from(endMessage), [WebSocketMessageType.End]);
+    assert.equal(socket.closeCode, 1000);
+  });
+
+  it("should fail when the socket closes while recording", async () => {
+    const writer = new WebSocketWriter({ url: "ws://localhost:3002" });
+    await writer.open();
+    const [socket] = MockWebSocket.instances;
+
+    const event = new Event("close");
+    event.code = 1006;
+    socket.dispatchEvent(event);
+
+    await assert.rejects(
+      writer.drain(),
+      /closed while recording \(code 1006\)/,
+    );
+    assert.throws(
+      () => writer.sendConfig({ track: "video" }),
+      /closed while recording/,
+    );
+  });
+
+  it("should wait for the socket buffer to drain", async () => {
+    const writer = new WebSocketWriter({
+      url: "ws://localhost:3002",
+      maxBufferedAmount: 10,
+    });
+    await writer.open();
+    const [socket] = MockWebSocket.instances;
+
+    socket.bufferedAmount = 20;
+    let drained = false;
+    const drain = writer.drain().then(() => (drained = true));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(drained, false);
+
+    socket.bufferedAmount = 0;
+    await drain;
+    assert.equal(drained, true);
+  });
+});